@@ -0,0 +1,102 @@
+// Background layers for the 2D composite, stacked bottom to top:
+// solid color, gradient, uploaded image and the HDR environment.
+// Each layer is shown in the editor when enabled, and included in exports
+// only when its export flag is also set, so one composition can produce
+// both transparent and on-brand images.
+
+export const backgroundLayerIds = ['solid', 'gradient', 'image', 'environment'];
+
+export function createBackgroundLayers() {
+	return {
+		solid: { enabled: false, export: true, color: '#ffffff' },
+		gradient: { enabled: false, export: true, type: 'linear', from: '#4158d0', to: '#c850c0', angle: 135 },
+		image: { enabled: false, export: true, fit: 'cover' },
+		environment: { enabled: false, export: true },
+	};
+}
+
+// Reused for every draw, since the editor redraws on each pointer move
+let scratchCanvas = null;
+
+// Draw an image centered, covering or contained in the canvas
+function drawImageFit(ctx, image, fit) {
+	const { width, height } = ctx.canvas;
+	const imageWidth = image.naturalWidth || image.width;
+	const imageHeight = image.naturalHeight || image.height;
+	const fitScale = fit === 'contain' ? Math.min : Math.max;
+	const scale = fitScale(width / imageWidth, height / imageHeight);
+	const drawWidth = imageWidth * scale;
+	const drawHeight = imageHeight * scale;
+
+	ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// CSS-style gradient: 0° points up, 90° points right
+function createGradient(ctx, { type, from, to, angle }) {
+	const { width, height } = ctx.canvas;
+	const centerX = width / 2;
+	const centerY = height / 2;
+
+	let gradient;
+	if (type === 'radial') {
+		gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, Math.hypot(width, height) / 2);
+	} else {
+		const radians = (angle * Math.PI) / 180;
+		const dx = Math.sin(radians);
+		const dy = -Math.cos(radians);
+		// Half the gradient line length, so the end colors reach the corners
+		const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+		gradient = ctx.createLinearGradient(centerX - dx * half, centerY - dy * half, centerX + dx * half, centerY + dy * half);
+	}
+
+	gradient.addColorStop(0, from);
+	gradient.addColorStop(1, to);
+	return gradient;
+}
+
+/**
+ * Draw the background layers underneath what is already on the canvas.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} layers From createBackgroundLayers
+ * @param {{image?: CanvasImageSource, environment?: CanvasImageSource, forExport?: boolean}} options
+ *   Sources for the image and environment layers; layers without a source are skipped
+ */
+export function drawBackground(ctx, layers, { image = null, environment = null, forExport = false } = {}) {
+	const isVisible = (id) => layers[id].enabled && (!forExport || layers[id].export);
+	if (!backgroundLayerIds.some(isVisible)) return;
+
+	// Build the stack on its own canvas, then slide it under the existing content
+	const { width, height } = ctx.canvas;
+	if (!scratchCanvas) {
+		scratchCanvas = document.createElement('canvas');
+	}
+	const canvas = scratchCanvas;
+	if (canvas.width !== width || canvas.height !== height) {
+		canvas.width = width;
+		canvas.height = height;
+	}
+	const backgroundCtx = canvas.getContext('2d');
+	backgroundCtx.clearRect(0, 0, width, height);
+	backgroundCtx.imageSmoothingEnabled = true;
+	backgroundCtx.imageSmoothingQuality = 'high';
+
+	if (isVisible('solid')) {
+		backgroundCtx.fillStyle = layers.solid.color;
+		backgroundCtx.fillRect(0, 0, width, height);
+	}
+	if (isVisible('gradient')) {
+		backgroundCtx.fillStyle = createGradient(backgroundCtx, layers.gradient);
+		backgroundCtx.fillRect(0, 0, width, height);
+	}
+	if (isVisible('image') && image) {
+		drawImageFit(backgroundCtx, image, layers.image.fit);
+	}
+	if (isVisible('environment') && environment) {
+		drawImageFit(backgroundCtx, environment, 'cover');
+	}
+
+	ctx.save();
+	ctx.globalCompositeOperation = 'destination-over';
+	ctx.drawImage(canvas, 0, 0);
+	ctx.restore();
+}
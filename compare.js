@@ -0,0 +1,130 @@
+// Compare view rendering: onion skin, swipe and pixel-difference heatmap
+// between a reference thumbnail and the current one. Both images are fitted
+// (contained) into the compare canvas so different resolutions line up.
+
+// Draw an image centered and fitted inside the canvas
+function drawFitted(ctx, image) {
+	const { width, height } = ctx.canvas;
+	const imageWidth = image.naturalWidth || image.width;
+	const imageHeight = image.naturalHeight || image.height;
+	const scale = Math.min(width / imageWidth, height / imageHeight);
+	const drawWidth = imageWidth * scale;
+	const drawHeight = imageHeight * scale;
+
+	ctx.imageSmoothingEnabled = true;
+	ctx.imageSmoothingQuality = 'high';
+	ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Pixels of an image fitted into a canvas of the given size
+function getFittedPixels(image, width, height) {
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	const ctx = canvas.getContext('2d', { willReadFrequently: true });
+	drawFitted(ctx, image);
+	return ctx.getImageData(0, 0, width, height).data;
+}
+
+// Map 0-1 to a blue → red → yellow ramp
+function heatColor(t) {
+	if (t < 0.5) {
+		const k = t / 0.5;
+		return [Math.round(255 * k), 0, Math.round(255 * (1 - k))];
+	}
+	const k = (t - 0.5) / 0.5;
+	return [255, Math.round(255 * k), 0];
+}
+
+/**
+ * Reference underneath, current on top at the given opacity.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} reference
+ * @param {CanvasImageSource} current
+ * @param {number} opacity 0-1
+ */
+export function renderOnionSkin(ctx, reference, current, opacity) {
+	ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+	drawFitted(ctx, reference);
+	ctx.globalAlpha = opacity;
+	drawFitted(ctx, current);
+	ctx.globalAlpha = 1;
+}
+
+/**
+ * Current image left of the divider, reference to the right.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} reference
+ * @param {CanvasImageSource} current
+ * @param {number} position Divider position, 0-1 across the canvas
+ */
+export function renderSwipe(ctx, reference, current, position) {
+	const { width, height } = ctx.canvas;
+	const dividerX = Math.round(width * position);
+
+	ctx.clearRect(0, 0, width, height);
+
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(dividerX, 0, width - dividerX, height);
+	ctx.clip();
+	drawFitted(ctx, reference);
+	ctx.restore();
+
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(0, 0, dividerX, height);
+	ctx.clip();
+	drawFitted(ctx, current);
+	ctx.restore();
+
+	// Divider line
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(dividerX - 1, 0, 2, height);
+}
+
+/**
+ * Heatmap of per-pixel differences. Unchanged pixels show a dimmed grayscale
+ * of the current image for context; changed pixels are colored by magnitude.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} reference
+ * @param {CanvasImageSource} current
+ * @param {number} threshold Channel difference (0-255) below which pixels count as unchanged
+ * @returns {{changedRatio: number, maxDifference: number}}
+ */
+export function renderDifference(ctx, reference, current, threshold) {
+	const { width, height } = ctx.canvas;
+	const referencePixels = getFittedPixels(reference, width, height);
+	const currentPixels = getFittedPixels(current, width, height);
+
+	const output = ctx.createImageData(width, height);
+	const out = output.data;
+	let changed = 0;
+	let maxDifference = 0;
+
+	for (let i = 0; i < out.length; i += 4) {
+		// Largest difference across color and alpha channels
+		let difference = 0;
+		for (let c = 0; c < 4; c++) {
+			difference = Math.max(difference, Math.abs(referencePixels[i + c] - currentPixels[i + c]));
+		}
+		maxDifference = Math.max(maxDifference, difference);
+
+		if (difference > threshold) {
+			changed++;
+			const [r, g, b] = heatColor(difference / 255);
+			out[i] = r;
+			out[i + 1] = g;
+			out[i + 2] = b;
+		} else {
+			const alpha = currentPixels[i + 3] / 255;
+			const luma = (currentPixels[i] * 0.299 + currentPixels[i + 1] * 0.587 + currentPixels[i + 2] * 0.114) * alpha;
+			out[i] = out[i + 1] = out[i + 2] = Math.round(luma * 0.3);
+		}
+		out[i + 3] = 255;
+	}
+
+	ctx.putImageData(output, 0, 0);
+
+	return { changedRatio: changed / (width * height), maxDifference };
+}
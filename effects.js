@@ -0,0 +1,179 @@
+// 2D effects applied to the model cutout in the composite step: drop shadow,
+// outline stroke and outer glow. Sizes are in pixels of the editor canvas at 100%
+// scale and are scaled with the output when exporting at other sizes. Blur and
+// outline widths grow with the 2D scale; the shadow offset does not.
+
+export const effectIds = ['shadow', 'glow', 'outline'];
+
+// Samples around the circle when dilating the silhouette for the outline
+const OUTLINE_SAMPLES = 24;
+
+// Shadows are cast from a copy drawn far off-canvas so only the shadow lands on the canvas
+const SHADOW_SHIFT = 100000;
+
+export function createEffects() {
+	return {
+		shadow: { enabled: false, offsetX: 0, offsetY: 16, blur: 24, color: '#000000', opacity: 0.5 },
+		glow: { enabled: false, blur: 32, color: '#ffffff', opacity: 0.8 },
+		outline: { enabled: false, width: 6, color: '#ffffff' },
+	};
+}
+
+export function hasEffects(effects) {
+	return effectIds.some(id => effects[id].enabled);
+}
+
+// Effect colors are "#rrggbb"; anything else falls back to black rather than a garbled color
+function toRGBA(hex, opacity) {
+	const value = isEffectColor(hex) ? parseInt(hex.slice(1), 16) : 0;
+	return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
+
+export function isEffectColor(value) {
+	return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function copyCanvas(source) {
+	const canvas = document.createElement('canvas');
+	canvas.width = source.width;
+	canvas.height = source.height;
+	canvas.getContext('2d').drawImage(source, 0, 0);
+	return canvas;
+}
+
+// Draw only the blurred shadow of an image
+function drawShadow(ctx, image, { offsetX = 0, offsetY = 0, blur, color }) {
+	ctx.save();
+	ctx.shadowColor = color;
+	ctx.shadowBlur = blur;
+	ctx.shadowOffsetX = offsetX + SHADOW_SHIFT;
+	ctx.shadowOffsetY = offsetY;
+	ctx.drawImage(image, -SHADOW_SHIFT, 0);
+	ctx.restore();
+}
+
+// Dilate the silhouette by stamping a solid-color copy around a circle. Each pass
+// stamps the silhouette grown so far, at a radius no larger than that growth, so the
+// stamps overlap without gaps and wide outlines take a few passes instead of one per ring.
+function drawOutline(ctx, image, { width, color }) {
+	const padding = Math.ceil(width);
+	const silhouette = createLayerCanvas(image, padding);
+	const silhouetteCtx = silhouette.getContext('2d');
+	silhouetteCtx.drawImage(image, padding, padding);
+	silhouetteCtx.globalCompositeOperation = 'source-in';
+	silhouetteCtx.fillStyle = color;
+	silhouetteCtx.fillRect(0, 0, silhouette.width, silhouette.height);
+	silhouetteCtx.globalCompositeOperation = 'source-over';
+
+	for (let grown = 0; grown < width;) {
+		const radius = Math.min(width - grown, Math.max(1, grown));
+		const stamp = copyCanvas(silhouette);
+		for (let i = 0; i < OUTLINE_SAMPLES; i++) {
+			const angle = (i / OUTLINE_SAMPLES) * Math.PI * 2;
+			silhouetteCtx.drawImage(stamp, Math.cos(angle) * radius, Math.sin(angle) * radius);
+		}
+		grown += radius;
+	}
+
+	ctx.drawImage(silhouette, -padding, -padding);
+}
+
+function createLayerCanvas(image, margin) {
+	const canvas = document.createElement('canvas');
+	canvas.width = image.width + margin * 2;
+	canvas.height = image.height + margin * 2;
+	return canvas;
+}
+
+/**
+ * Render a capture with its enabled effects, in the capture's own pixels with a margin
+ * for effects spreading past its edges. The layer only depends on the capture, the effect
+ * settings and the output size, so it can be reused while the composition is moved or scaled.
+ * The drop shadow is kept apart, so its offset stays in canvas pixels under rotation.
+ * @param {CanvasImageSource} image
+ * @param {object} effects From createEffects
+ * @param {number} width Output canvas width
+ * @param {number} height Output canvas height
+ * @param {number} referenceWidth Width of the editor canvas the effect sizes are authored on
+ * @returns {{canvas: HTMLCanvasElement, shadow: HTMLCanvasElement|null, shadowOffset: {x: number, y: number}}|null}
+ *   Null when no effect is enabled
+ */
+export function createEffectsLayer(image, effects, width, height, referenceWidth = width) {
+	if (!hasEffects(effects)) return null;
+
+	const { shadow, glow, outline } = effects;
+	const ratio = width / referenceWidth;
+	// Canvas sizes to capture pixels, at the fitted 100% scale drawThumbnail starts from
+	const toImage = ratio / Math.min(width / image.width, height / image.height);
+
+	const spreads = [
+		shadow.enabled ? shadow.blur : 0,
+		glow.enabled ? glow.blur : 0,
+		outline.enabled ? outline.width : 0,
+	];
+	const margin = Math.ceil(Math.max(...spreads) * toImage) + 2;
+
+	let shadowCanvas = null;
+	if (shadow.enabled) {
+		shadowCanvas = createLayerCanvas(image, margin);
+		drawShadow(shadowCanvas.getContext('2d'), image, {
+			offsetX: margin,
+			offsetY: margin,
+			blur: shadow.blur * toImage,
+			color: toRGBA(shadow.color, shadow.opacity),
+		});
+	}
+
+	const canvas = createLayerCanvas(image, margin);
+	const ctx = canvas.getContext('2d');
+
+	if (glow.enabled) {
+		drawShadow(ctx, image, {
+			offsetX: margin,
+			offsetY: margin,
+			blur: glow.blur * toImage,
+			color: toRGBA(glow.color, glow.opacity),
+		});
+	}
+
+	if (outline.enabled && outline.width > 0) {
+		ctx.save();
+		ctx.translate(margin, margin);
+		drawOutline(ctx, image, { width: outline.width * toImage, color: toRGBA(outline.color, 1) });
+		ctx.restore();
+	}
+
+	ctx.drawImage(image, margin, margin);
+
+	return {
+		canvas,
+		shadow: shadowCanvas,
+		shadowOffset: { x: shadow.offsetX * ratio, y: shadow.offsetY * ratio },
+	};
+}
+
+/**
+ * Draw an effects layer in place of its capture.
+ * @param {CanvasRenderingContext2D} ctx Translated to where the capture's center goes
+ * @param {object} layer From createEffectsLayer
+ * @param {number} scale Canvas pixels per capture pixel
+ * @param {number} rotation Radians
+ */
+export function drawEffectsLayer(ctx, layer, scale, rotation) {
+	const { canvas, shadow, shadowOffset } = layer;
+	const width = canvas.width * scale;
+	const height = canvas.height * scale;
+
+	if (shadow) {
+		ctx.save();
+		ctx.translate(shadowOffset.x, shadowOffset.y);
+		ctx.rotate(rotation);
+		ctx.drawImage(shadow, -width / 2, -height / 2, width, height);
+		ctx.restore();
+	}
+
+	ctx.save();
+	ctx.rotate(rotation);
+	ctx.drawImage(canvas, -width / 2, -height / 2, width, height);
+	ctx.restore();
+}
@@ -1,4 +1,8 @@
-// Environment presets for the viewer
+// Environment presets for the viewer.
+// Studio, Sunset and Overcast are bundled .hdr files in public/environments/
+// (generated by scripts/environments.js), so they work offline. Footprint Court
+// is fetched from GitHub. The format ('hdr' or 'exr') comes from the path's
+// extension unless set explicitly, as it is for uploaded files.
 export const environments = [
 	{
 		id: '',
@@ -10,6 +14,21 @@ export const environments = [
 		name: 'Neutral',
 		path: null,
 	},
+	{
+		id: 'studio',
+		name: 'Studio',
+		path: '/environments/studio.hdr',
+	},
+	{
+		id: 'sunset',
+		name: 'Sunset',
+		path: '/environments/sunset.hdr',
+	},
+	{
+		id: 'overcast',
+		name: 'Overcast',
+		path: '/environments/overcast.hdr',
+	},
 	{
 		id: 'footprint-court',
 		name: 'Footprint Court',
@@ -17,3 +36,49 @@ export const environments = [
 	},
 ];
 
+export const environmentExtensions = ['hdr', 'exr'];
+
+let uploadCount = 0;
+
+export function getEnvironmentFormat({ path, format }) {
+	return format || path.split(/[?#]/)[0].split('.').pop().toLowerCase();
+}
+
+/**
+ * Create an environment entry for an uploaded .hdr or .exr file. It isn't listed
+ * until addEnvironment is called, so it can be loaded first.
+ * @param {File} file
+ * @returns {{id: string, name: string, path: string, format: string}}
+ */
+export function createEnvironmentFile(file) {
+	const format = file.name.split('.').pop().toLowerCase();
+	if (!environmentExtensions.includes(format)) {
+		throw new Error(`Unsupported environment file: ${file.name}`);
+	}
+
+	return {
+		id: `upload-${++uploadCount}`,
+		name: file.name,
+		path: URL.createObjectURL(file),
+		format,
+		uploaded: true,
+	};
+}
+
+/**
+ * Add an uploaded environment to the list for this session. An earlier upload with
+ * the same name is replaced in place and its object URL revoked.
+ * @param {{id: string, name: string, path: string, format: string}} entry
+ * @returns {object|null} The replaced entry, whose loaded scene the caller can dispose
+ */
+export function addEnvironment(entry) {
+	const index = environments.findIndex(environment => environment.uploaded && environment.name === entry.name);
+	if (index === -1) {
+		environments.push(entry);
+		return null;
+	}
+
+	const [existing] = environments.splice(index, 1, entry);
+	URL.revokeObjectURL(existing.path);
+	return existing;
+}
@@ -0,0 +1,144 @@
+import { zipSync } from 'fflate';
+import { loadImage } from './thumbnail.js';
+
+// Timestamp used in download filenames, e.g. 2024-01-31T12-00-00
+export function getTimestamp() {
+	return new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+}
+
+// Trigger a browser download for a data or object URL
+export function downloadURL(url, filename) {
+	// Create a temporary link element to trigger download
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+}
+
+// Trigger a browser download for a Blob
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	downloadURL(url, filename);
+	// Revoke after the click has been handled
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Image formats offered for export
+export const exportFormats = [
+	{
+		id: 'png',
+		name: 'PNG',
+		type: 'image/png',
+		extension: 'png',
+		alpha: true,
+		lossy: false,
+	},
+	{
+		id: 'webp',
+		name: 'WebP',
+		type: 'image/webp',
+		extension: 'webp',
+		alpha: true,
+		lossy: true,
+	},
+	{
+		id: 'avif',
+		name: 'AVIF',
+		type: 'image/avif',
+		extension: 'avif',
+		alpha: true,
+		lossy: true,
+	},
+	{
+		id: 'jpeg',
+		name: 'JPEG',
+		type: 'image/jpeg',
+		extension: 'jpg',
+		alpha: false,
+		lossy: true,
+	},
+];
+
+export function getExportFormat(id) {
+	return exportFormats.find((format) => format.id === id) || exportFormats[0];
+}
+
+// Browsers silently fall back to PNG for types they cannot encode
+export function isFormatSupported(format) {
+	const canvas = document.createElement('canvas');
+	canvas.width = 1;
+	canvas.height = 1;
+	return canvas.toDataURL(format.type).startsWith(`data:${format.type}`);
+}
+
+// Copy any drawable image onto a new canvas at its natural size
+export function imageToCanvas(image) {
+	const canvas = document.createElement('canvas');
+	canvas.width = image.naturalWidth || image.width;
+	canvas.height = image.naturalHeight || image.height;
+	canvas.getContext('2d').drawImage(image, 0, 0);
+	return canvas;
+}
+
+// Flatten transparent pixels onto a solid matte color
+function applyMatte(canvas, matte) {
+	const matted = document.createElement('canvas');
+	matted.width = canvas.width;
+	matted.height = canvas.height;
+	const ctx = matted.getContext('2d');
+	ctx.fillStyle = matte;
+	ctx.fillRect(0, 0, matted.width, matted.height);
+	ctx.drawImage(canvas, 0, 0);
+	return matted;
+}
+
+/**
+ * Encode a canvas in an export format.
+ * Formats without alpha are flattened onto the matte color first.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{type: string, alpha: boolean, lossy: boolean}} format Entry from exportFormats
+ * @param {{quality?: number, matte?: string}} options Quality in 0-1, used by lossy formats
+ * @returns {Promise<Blob>}
+ */
+export function encodeCanvas(canvas, format, { quality = 0.92, matte = '#ffffff' } = {}) {
+	const source = format.alpha ? canvas : applyMatte(canvas, matte);
+
+	return new Promise((resolve, reject) => {
+		source.toBlob((blob) => {
+			if (!blob || blob.type !== format.type) {
+				reject(new Error(`This browser cannot encode ${format.name} images`));
+				return;
+			}
+			resolve(blob);
+		}, format.type, format.lossy ? quality : undefined);
+	});
+}
+
+// Re-encode a PNG data URL in an export format
+export async function encodeImageData(imageData, format, options) {
+	const image = await loadImage(imageData);
+	return encodeCanvas(imageToCanvas(image), format, options);
+}
+
+// Encode a canvas to bytes in an export format
+export async function canvasToBytes(canvas, format, options) {
+	const blob = await encodeCanvas(canvas, format, options);
+	return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Build a zip archive from a list of files.
+ * Images are already compressed, so entries are stored without deflate.
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+export function createZip(files) {
+	const entries = {};
+	files.forEach(({ name, data }) => {
+		entries[name] = [data, { level: 0 }];
+	});
+	return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
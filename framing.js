@@ -0,0 +1,203 @@
+import { Vector3 } from 'three';
+
+// Alpha values at or below this are treated as empty when measuring the capture
+const ALPHA_THRESHOLD = 8;
+
+// Bounds are normalized to the captured image: 0-1 with the origin at the top left
+function emptyBounds() {
+	return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+
+function expandBounds(bounds, x, y) {
+	bounds.minX = Math.min(bounds.minX, x);
+	bounds.minY = Math.min(bounds.minY, y);
+	bounds.maxX = Math.max(bounds.maxX, x);
+	bounds.maxY = Math.max(bounds.maxY, y);
+}
+
+// Clip to the visible image, returning null when nothing is in view
+function clipBounds(bounds) {
+	const clipped = {
+		minX: Math.max(0, bounds.minX),
+		minY: Math.max(0, bounds.minY),
+		maxX: Math.min(1, bounds.maxX),
+		maxY: Math.min(1, bounds.maxY),
+	};
+	if (clipped.maxX <= clipped.minX || clipped.maxY <= clipped.minY) {
+		return null;
+	}
+	return clipped;
+}
+
+/**
+ * Screen-space bounds of every mesh vertex as seen from the camera.
+ * Tighter than projecting the bounding box, since only the silhouette counts.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Camera} camera
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+ */
+export function getProjectedBounds(object, camera) {
+	const bounds = emptyBounds();
+	const vertex = new Vector3();
+
+	object.updateMatrixWorld();
+	camera.updateMatrixWorld();
+
+	object.traverse((node) => {
+		if (!node.isMesh || !node.geometry.attributes.position) return;
+
+		const count = node.geometry.attributes.position.count;
+		for (let i = 0; i < count; i++) {
+			node.getVertexPosition(i, vertex);
+			vertex.applyMatrix4(node.matrixWorld).project(camera);
+
+			// Skip vertices behind the camera
+			if (vertex.z > 1) continue;
+
+			expandBounds(bounds, (vertex.x + 1) / 2, (1 - vertex.y) / 2);
+		}
+	});
+
+	return clipBounds(bounds);
+}
+
+// Pixels of an image at its natural size
+function getPixels(image) {
+	const width = image.naturalWidth || image.width;
+	const height = image.naturalHeight || image.height;
+
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	const ctx = canvas.getContext('2d', { willReadFrequently: true });
+	ctx.drawImage(image, 0, 0);
+	return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+/**
+ * Tight bounds of the non-transparent pixels in an image.
+ * @param {CanvasImageSource} image
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+ */
+export function getAlphaBounds(image) {
+	const { data, width, height } = getPixels(image);
+
+	const bounds = emptyBounds();
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			if (data[(y * width + x) * 4 + 3] > ALPHA_THRESHOLD) {
+				expandBounds(bounds, x / width, y / height);
+				expandBounds(bounds, (x + 1) / width, (y + 1) / height);
+			}
+		}
+	}
+
+	return clipBounds(bounds);
+}
+
+/**
+ * Alpha-weighted center of mass of an image, so partly transparent pixels
+ * such as soft shadows count for less than the solid model.
+ * @param {CanvasImageSource} image
+ * @returns {{x: number, y: number}|null} Normalized to the image, or null when it is empty
+ */
+export function getAlphaCenter(image) {
+	const { data, width, height } = getPixels(image);
+
+	let total = 0;
+	let sumX = 0;
+	let sumY = 0;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const alpha = data[(y * width + x) * 4 + 3];
+			if (alpha <= ALPHA_THRESHOLD) continue;
+			total += alpha;
+			sumX += (x + 0.5) * alpha;
+			sumY += (y + 0.5) * alpha;
+		}
+	}
+
+	if (total === 0) return null;
+	return { x: sumX / total / width, y: sumY / total / height };
+}
+
+/**
+ * Crop an image to normalized bounds.
+ * @param {CanvasImageSource} image
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds
+ * @returns {HTMLCanvasElement}
+ */
+export function trimImage(image, bounds) {
+	const width = image.naturalWidth || image.width;
+	const height = image.naturalHeight || image.height;
+	const x = Math.floor(bounds.minX * width);
+	const y = Math.floor(bounds.minY * height);
+
+	const canvas = document.createElement('canvas');
+	canvas.width = Math.max(1, Math.ceil(bounds.maxX * width) - x);
+	canvas.height = Math.max(1, Math.ceil(bounds.maxY * height) - y);
+	canvas.getContext('2d').drawImage(image, -x, -y);
+	return canvas;
+}
+
+/**
+ * 2D offset and scale that center the bounds on the canvas and fit them inside
+ * a padding box, matching the fit-then-scale-then-rotate layout of drawThumbnail.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds Normalized image bounds
+ * @param {{width: number, height: number}} image Captured image size
+ * @param {{width: number, height: number}} canvas Composition canvas size
+ * @param {number} padding Fraction of the canvas kept empty on each side
+ * @param {{min: number, max: number}} scaleLimits
+ * @param {'contain'|'cover'} fit Keep the bounds inside the box, or cover the box with them
+ * @param {{x: number, y: number}|null} center Normalized point to center instead of the bounds center.
+ *   The bounds are kept symmetric around it, so they still fit the padding box.
+ * @param {number} rotation Degrees clockwise; the rotated bounds are fitted
+ * @returns {{offset: {x: number, y: number}, scale: number}}
+ */
+export function getFramingComposition(bounds, image, canvas, padding, scaleLimits, fit = 'contain', center = null, rotation = 0) {
+	const centerX = center ? center.x : (bounds.minX + bounds.maxX) / 2;
+	const centerY = center ? center.y : (bounds.minY + bounds.maxY) / 2;
+
+	const baseScale = Math.min(canvas.width / image.width, canvas.height / image.height);
+	const width = image.width * baseScale;
+	const height = image.height * baseScale;
+	const angle = (rotation * Math.PI) / 180;
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+
+	// Extents of the rotated bounds' corners around the center, at scale 1
+	let extentX = 0;
+	let extentY = 0;
+	[bounds.minX, bounds.maxX].forEach((x) => {
+		[bounds.minY, bounds.maxY].forEach((y) => {
+			const dx = (x - centerX) * width;
+			const dy = (y - centerY) * height;
+			extentX = Math.max(extentX, Math.abs(dx * cos - dy * sin));
+			extentY = Math.max(extentY, Math.abs(dx * sin + dy * cos));
+		});
+	});
+	const boundsWidth = extentX * 2;
+	const boundsHeight = extentY * 2;
+
+	const fill = 1 - padding * 2;
+	const fitScale = fit === 'cover' ? Math.max : Math.min;
+	const scale = Math.min(
+		scaleLimits.max,
+		Math.max(
+			scaleLimits.min,
+			fitScale((canvas.width * fill) / boundsWidth, (canvas.height * fill) / boundsHeight),
+		),
+	);
+
+	// Move the center, rotated with the image, to the canvas center
+	const toCenterX = width * scale * (0.5 - centerX);
+	const toCenterY = height * scale * (0.5 - centerY);
+
+	return {
+		offset: {
+			x: toCenterX * cos - toCenterY * sin,
+			y: toCenterX * sin + toCenterY * cos,
+		},
+		scale,
+	};
+}
@@ -0,0 +1,157 @@
+import guideConfig from './guides.json';
+
+// Composition guide templates for the 2D canvas, loaded from guides.json.
+// Guides are an editor aid only: they are drawn on the on-screen canvas and
+// never into captures or exports.
+//
+// Each template is { id, name, elements }, where every element is one of:
+//   { "type": "thirds" }                         Rule-of-thirds grid
+//   { "type": "cross", "size": 0.08 }            Center cross, arm length as a fraction of the canvas
+//   { "type": "circle", "inset": 0 }             Circular crop, inset as a fraction of the canvas
+//   { "type": "safe-area", "margins": { "top": 0.1, "right": 0.1, "bottom": 0.1, "left": 0.1 }, "label": "Title" }
+//
+// Any element may also set "color", "dash" (canvas line dash in screen pixels)
+// and, for circle and safe-area, "shade": true to dim everything outside it.
+
+const DEFAULT_COLOR = 'rgba(255, 255, 255, 0.45)';
+const SHADE_COLOR = 'rgba(0, 0, 0, 0.35)';
+
+export const guideTemplates = guideConfig.templates;
+
+export function getGuideTemplate(id) {
+	return guideTemplates.find(template => template.id === id) || null;
+}
+
+/**
+ * Straight edges of a template as normalized canvas positions, used as snap targets.
+ * @param {object|null} template
+ * @param {number} width Canvas size, which places the circle on non-square canvases
+ * @param {number} height
+ * @returns {{x: number[], y: number[]}}
+ */
+export function getGuideLines(template, width, height) {
+	const lines = { x: [], y: [] };
+	if (!template) return lines;
+
+	template.elements.forEach(element => {
+		if (element.type === 'safe-area') {
+			const margins = element.margins || {};
+			lines.x.push(margins.left || 0, 1 - (margins.right || 0));
+			lines.y.push(margins.top || 0, 1 - (margins.bottom || 0));
+		} else if (element.type === 'circle') {
+			// Extents of the circle on each axis, sized from the shorter side as drawn
+			const size = Math.min(width, height);
+			const radius = size / 2 - size * (element.inset || 0);
+			lines.x.push(0.5 - radius / width, 0.5 + radius / width);
+			lines.y.push(0.5 - radius / height, 0.5 + radius / height);
+		}
+	});
+
+	return lines;
+}
+
+function strokeLine(ctx, x1, y1, x2, y2) {
+	ctx.beginPath();
+	ctx.moveTo(x1, y1);
+	ctx.lineTo(x2, y2);
+	ctx.stroke();
+}
+
+function drawThirds(ctx, width, height) {
+	for (let i = 1; i < 3; i++) {
+		strokeLine(ctx, (width * i) / 3, 0, (width * i) / 3, height);
+		strokeLine(ctx, 0, (height * i) / 3, width, (height * i) / 3);
+	}
+}
+
+function drawCross(ctx, width, height, element) {
+	const arm = Math.min(width, height) * (element.size !== undefined ? element.size : 0.08);
+	strokeLine(ctx, width / 2 - arm, height / 2, width / 2 + arm, height / 2);
+	strokeLine(ctx, width / 2, height / 2 - arm, width / 2, height / 2 + arm);
+}
+
+function drawCircle(ctx, width, height, element) {
+	const inset = Math.min(width, height) * (element.inset || 0);
+	const radius = Math.min(width, height) / 2 - inset;
+
+	if (element.shade) {
+		// Even-odd fill leaves the inside of the circle untouched
+		ctx.save();
+		ctx.fillStyle = SHADE_COLOR;
+		ctx.beginPath();
+		ctx.rect(0, 0, width, height);
+		ctx.arc(width / 2, height / 2, radius, 0, Math.PI * 2);
+		ctx.fill('evenodd');
+		ctx.restore();
+	}
+
+	ctx.beginPath();
+	ctx.arc(width / 2, height / 2, radius, 0, Math.PI * 2);
+	ctx.stroke();
+}
+
+function drawSafeArea(ctx, width, height, element, pixelRatio) {
+	const margins = element.margins || {};
+	const left = width * (margins.left || 0);
+	const top = height * (margins.top || 0);
+	const right = width * (1 - (margins.right || 0));
+	const bottom = height * (1 - (margins.bottom || 0));
+
+	if (element.shade) {
+		ctx.save();
+		ctx.fillStyle = SHADE_COLOR;
+		ctx.beginPath();
+		ctx.rect(0, 0, width, height);
+		ctx.rect(left, top, right - left, bottom - top);
+		ctx.fill('evenodd');
+		ctx.restore();
+	}
+
+	ctx.strokeRect(left, top, right - left, bottom - top);
+
+	if (element.label) {
+		ctx.save();
+		ctx.fillStyle = ctx.strokeStyle;
+		ctx.font = `${12 * pixelRatio}px sans-serif`;
+		ctx.textBaseline = 'top';
+		ctx.fillText(element.label, left + 4 * pixelRatio, top + 4 * pixelRatio);
+		ctx.restore();
+	}
+}
+
+/**
+ * Draw a guide template over the canvas contents.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} template Entry from guides.json
+ * @param {number} pixelRatio Canvas pixels per screen pixel, so lines stay 1px on screen
+ */
+export function drawGuides(ctx, template, pixelRatio = 1) {
+	if (!template) return;
+	const { width, height } = ctx.canvas;
+
+	template.elements.forEach(element => {
+		ctx.save();
+		ctx.strokeStyle = element.color || DEFAULT_COLOR;
+		ctx.lineWidth = pixelRatio;
+		ctx.setLineDash((element.dash || []).map(length => length * pixelRatio));
+
+		switch (element.type) {
+			case 'thirds':
+				drawThirds(ctx, width, height);
+				break;
+			case 'cross':
+				drawCross(ctx, width, height, element);
+				break;
+			case 'circle':
+				drawCircle(ctx, width, height, element);
+				break;
+			case 'safe-area':
+				drawSafeArea(ctx, width, height, element, pixelRatio);
+				break;
+			default:
+				console.warn('Unknown guide element type:', element.type);
+		}
+
+		ctx.restore();
+	});
+}
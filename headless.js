@@ -0,0 +1,50 @@
+import { Viewer } from './viewer.js';
+import { captureViewport, loadImage, renderThumbnailToCanvas } from './thumbnail.js';
+
+// Viewer box used by the desktop editor; the renderer is fitted inside it
+const VIEWER_SIZE = 600;
+
+// Output size of the editor's thumbnail canvas
+const THUMBNAIL_SIZE = 1200;
+
+const el = document.getElementById('viewer-container');
+
+const viewer = new Viewer(el, {
+	kiosk: true,
+	preset: null,
+});
+
+// Keep helpers out of the capture
+viewer.state.grid = false;
+
+// Match the editor's viewport for the output aspect ratio
+function setViewerAspect(width, height) {
+	const aspect = width / height;
+	const viewerWidth = aspect >= 1 ? VIEWER_SIZE : Math.round(VIEWER_SIZE * aspect);
+	const viewerHeight = aspect >= 1 ? Math.round(VIEWER_SIZE / aspect) : VIEWER_SIZE;
+
+	viewer.renderer.setSize(viewerWidth, viewerHeight);
+	viewer.defaultCamera.aspect = aspect;
+	viewer.defaultCamera.updateProjectionMatrix();
+}
+
+// Wait for the next animation frame so pending environment updates are applied
+function nextFrame() {
+	return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+// Load a model, frame it with the default composition and return a PNG data URL
+async function renderModelThumbnail(url, width = THUMBNAIL_SIZE, height = width) {
+	setViewerAspect(width, height);
+	await viewer.load(url, '', new Map());
+	await nextFrame();
+
+	const image = await loadImage(captureViewport(viewer, { width, height, supersample: 2 }));
+
+	const canvas = renderThumbnailToCanvas(image, { offset: { x: 0, y: 0 }, scale: 1.0 }, width, height);
+
+	return canvas.toDataURL('image/png');
+}
+
+window.renderModelThumbnail = renderModelThumbnail;
+window.thumbnailRendererReady = true;
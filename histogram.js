@@ -0,0 +1,108 @@
+// Histograms of a capture's red, green, blue and luminance values, for judging
+// tone mapping and exposure. Transparent pixels are left out, so the empty space
+// around the model doesn't swamp the shadows.
+//
+// {
+//   "red": [...], "green": [...], "blue": [...], "luma": [...],   counts per bin
+//   "count": 51234,                                               opaque pixels counted
+//   "clipped": 0.012                                              fraction with a channel at 255
+// }
+
+export const HISTOGRAM_BINS = 64;
+
+// Captures are sampled down to this many pixels per side first
+const SAMPLE_SIZE = 256;
+
+const CHANNEL_COLORS = {
+	red: 'rgba(255, 60, 60, 0.7)',
+	green: 'rgba(60, 220, 60, 0.7)',
+	blue: 'rgba(70, 110, 255, 0.7)',
+};
+
+/**
+ * Count a capture's pixels into histogram bins.
+ * @param {CanvasImageSource} image
+ * @param {number} bins
+ * @returns {object} See the format above
+ */
+export function computeHistogram(image, bins = HISTOGRAM_BINS) {
+	const imageWidth = image.naturalWidth || image.width;
+	const imageHeight = image.naturalHeight || image.height;
+	const sampleScale = Math.min(1, SAMPLE_SIZE / Math.max(imageWidth, imageHeight));
+
+	const canvas = document.createElement('canvas');
+	canvas.width = Math.max(1, Math.round(imageWidth * sampleScale));
+	canvas.height = Math.max(1, Math.round(imageHeight * sampleScale));
+	const ctx = canvas.getContext('2d', { willReadFrequently: true });
+	ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+	const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+	const histogram = {
+		red: new Array(bins).fill(0),
+		green: new Array(bins).fill(0),
+		blue: new Array(bins).fill(0),
+		luma: new Array(bins).fill(0),
+		count: 0,
+		clipped: 0,
+	};
+	const toBin = value => Math.min(bins - 1, Math.floor((value / 256) * bins));
+
+	let clipped = 0;
+	for (let i = 0; i < data.length; i += 4) {
+		if (data[i + 3] === 0) continue;
+		const r = data[i];
+		const g = data[i + 1];
+		const b = data[i + 2];
+		histogram.red[toBin(r)]++;
+		histogram.green[toBin(g)]++;
+		histogram.blue[toBin(b)]++;
+		histogram.luma[toBin(0.2126 * r + 0.7152 * g + 0.0722 * b)]++;
+		if (r === 255 || g === 255 || b === 255) clipped++;
+		histogram.count++;
+	}
+	histogram.clipped = histogram.count ? clipped / histogram.count : 0;
+
+	return histogram;
+}
+
+/**
+ * Draw a histogram filling a 2D context: luminance as a grey area with the
+ * color channels over it. Heights are square-root scaled so small peaks stay visible.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object|null} histogram Clears the canvas when null
+ */
+export function drawHistogram(ctx, histogram) {
+	const { width, height } = ctx.canvas;
+	ctx.clearRect(0, 0, width, height);
+	if (!histogram || !histogram.count) return;
+
+	const channels = ['luma', 'red', 'green', 'blue'];
+	const peak = Math.max(...channels.map(channel => Math.max(...histogram[channel])));
+	const scale = height / Math.sqrt(peak);
+
+	const tracePath = values => {
+		const step = width / values.length;
+		ctx.beginPath();
+		ctx.moveTo(0, height);
+		values.forEach((value, i) => {
+			const y = height - Math.sqrt(value) * scale;
+			ctx.lineTo(i * step, y);
+			ctx.lineTo((i + 1) * step, y);
+		});
+		ctx.lineTo(width, height);
+		ctx.closePath();
+	};
+
+	ctx.save();
+	tracePath(histogram.luma);
+	ctx.fillStyle = 'rgba(200, 200, 200, 0.35)';
+	ctx.fill();
+
+	ctx.lineWidth = Math.max(1, height / 100);
+	Object.entries(CHANNEL_COLORS).forEach(([channel, color]) => {
+		tracePath(histogram[channel]);
+		ctx.strokeStyle = color;
+		ctx.stroke();
+	});
+	ctx.restore();
+}
@@ -0,0 +1,55 @@
+// Undo/redo stack of editor snapshots.
+// Each entry carries a key; pushing an entry with the same key as the current one is ignored,
+// so handlers can record after every interaction without creating empty steps.
+
+const DEFAULT_LIMIT = 100;
+
+export class History {
+	constructor(limit = DEFAULT_LIMIT) {
+		this.limit = limit;
+		this.entries = [];
+		this.index = -1;
+	}
+
+	/**
+	 * Add an entry after the current one, discarding any redo entries.
+	 * @param {string} key Identity used to skip duplicate snapshots
+	 * @param {*} state
+	 * @returns {boolean} Whether the entry was added
+	 */
+	push(key, state) {
+		const current = this.entries[this.index];
+		if (current && current.key === key) return false;
+
+		this.entries.length = this.index + 1;
+		this.entries.push({ key, state });
+
+		if (this.entries.length > this.limit) {
+			this.entries.shift();
+		}
+		this.index = this.entries.length - 1;
+		return true;
+	}
+
+	canUndo() {
+		return this.index > 0;
+	}
+
+	canRedo() {
+		return this.index < this.entries.length - 1;
+	}
+
+	// Step back and return the previous state, or null at the start of history
+	undo() {
+		if (!this.canUndo()) return null;
+		this.index--;
+		return this.entries[this.index].state;
+	}
+
+	// Step forward and return the next state, or null at the end of history
+	redo() {
+		if (!this.canRedo()) return null;
+		this.index++;
+		return this.entries[this.index].state;
+	}
+}
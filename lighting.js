@@ -0,0 +1,115 @@
+import { Vector3 } from 'three';
+import lightingConfig from './lighting.json';
+
+// Studio lighting rigs: key, fill and rim directional lights plus a hemisphere light.
+// Built-in presets live in lighting.json; saved presets are the same rig with a header:
+//
+// {
+//   "type": "lighting-rig",
+//   "version": 1,
+//   "name": "Studio",
+//   "key": { "enabled": true, "azimuth": -40, "elevation": 35, "color": "#ffffff", "intensity": 2.5, "shadow": false },
+//   "fill": { ... },
+//   "rim": { ... },
+//   "hemisphere": { "enabled": true, "skyColor": "#ffffff", "groundColor": "#4a4a4a", "intensity": 0.5 }
+// }
+//
+// Directions are relative to the camera, so a rig lights the model from the same side
+// however it is orbited. Azimuth is in degrees around the model, 0 from the camera and
+// positive to the right; elevation is in degrees above the horizon.
+
+export const RIG_TYPE = 'lighting-rig';
+export const RIG_VERSION = 1;
+
+export const rigLightIds = ['key', 'fill', 'rim'];
+
+const lightingPresets = lightingConfig.presets;
+
+// Presets saved or loaded this session, listed after the built-in ones
+let customPresets = [];
+
+// Built-in presets followed by this session's presets
+export function getLightingPresets() {
+	return lightingPresets.concat(customPresets);
+}
+
+export function getLightingPreset(name) {
+	return getLightingPresets().find(preset => preset.name === name) || null;
+}
+
+// Add a session preset, replacing any earlier one with the same name
+export function addLightingPreset(preset) {
+	customPresets = customPresets.filter(entry => entry.name !== preset.name).concat(preset);
+}
+
+// Copy of a preset, defaulting to the first built-in one
+export function createLightingRig(name = lightingPresets[0].name) {
+	return JSON.parse(JSON.stringify(getLightingPreset(name) || lightingPresets[0]));
+}
+
+// Fill in missing lights and settings from the default preset
+export function mergeLightingRig(rig) {
+	const defaults = createLightingRig();
+	const merged = { name: rig.name || defaults.name };
+	rigLightIds.concat('hemisphere').forEach(id => {
+		merged[id] = { ...defaults[id], ...(rig[id] || {}) };
+	});
+	return merged;
+}
+
+/**
+ * Camera-space direction towards a light.
+ * @param {number} azimuth Degrees, 0 from the camera, positive to the right
+ * @param {number} elevation Degrees above the horizon
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+export function getLightDirection(azimuth, elevation, target = new Vector3()) {
+	const phi = (azimuth * Math.PI) / 180;
+	const theta = (elevation * Math.PI) / 180;
+	return target.set(Math.sin(phi) * Math.cos(theta), Math.sin(theta), Math.cos(phi) * Math.cos(theta));
+}
+
+/**
+ * Check the lights of a rig, throwing on the first invalid setting.
+ * @param {object} rig
+ * @param {string} prefix Name used in error messages
+ */
+export function validateLightingRig(rig, prefix = 'rig') {
+	rigLightIds.concat('hemisphere').forEach(id => {
+		const light = rig[id];
+		if (light === undefined) return;
+		if (typeof light !== 'object' || light === null) {
+			throw new Error(`Lighting ${prefix}.${id} must be an object`);
+		}
+		['azimuth', 'elevation', 'intensity'].forEach(key => {
+			if (light[key] !== undefined && !Number.isFinite(light[key])) {
+				throw new Error(`Lighting ${prefix}.${id}.${key} must be a number`);
+			}
+		});
+	});
+}
+
+/**
+ * Parse and validate a saved lighting preset.
+ * @param {string} text
+ * @returns {object} Complete rig
+ */
+export function parseLightingRig(text) {
+	const rig = JSON.parse(text);
+
+	if (!rig || rig.type !== RIG_TYPE) {
+		throw new Error('File is not a lighting preset');
+	}
+	if (!Number.isInteger(rig.version) || rig.version > RIG_VERSION) {
+		throw new Error(`Unsupported lighting preset version: ${rig.version}`);
+	}
+	validateLightingRig(rig);
+
+	return mergeLightingRig(rig);
+}
+
+// Serialize a rig with the type and version header
+export function serializeLightingRig(rig) {
+	return JSON.stringify({ type: RIG_TYPE, version: RIG_VERSION, ...rig }, null, 2);
+}
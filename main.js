@@ -1,5 +1,41 @@
 import { Viewer } from './viewer.js';
 import { Box3, Vector3 } from 'three';
+import { MAX_CAPTURE_SIZE, captureEnvironment, captureViewport, drawThumbnail, loadImage, renderThumbnailToCanvas } from './thumbnail.js';
+import {
+	canvasToBytes,
+	createZip,
+	downloadBlob,
+	encodeImageData,
+	exportFormats,
+	getExportFormat,
+	getTimestamp,
+	isFormatSupported,
+} from './export.js';
+import { aspectPresets, exportPresets } from './presets.js';
+import { getAlphaBounds, getAlphaCenter, getFramingComposition, getProjectedBounds, trimImage } from './framing.js';
+import { parseRecipe, serializeRecipe } from './recipe.js';
+import { addEnvironment, createEnvironmentFile, environments } from './environments.js';
+import { History } from './history.js';
+import { drawGuides, getGuideLines, getGuideTemplate, guideTemplates } from './guides.js';
+import { backgroundLayerIds, createBackgroundLayers, drawBackground } from './backgrounds.js';
+import { createEffects, createEffectsLayer, effectIds } from './effects.js';
+import { createShadows, shadowIds } from './shadows.js';
+import { getToneMappingId, getToneMappingValue, resolveToneMappingId, toneMappings } from './tonemapping.js';
+import { createPostProcessing, postEffectIds } from './postprocessing.js';
+import { computeHistogram, drawHistogram } from './histogram.js';
+import {
+	addLightingPreset,
+	createLightingRig,
+	getLightingPreset,
+	getLightingPresets,
+	mergeLightingRig,
+	parseLightingRig,
+	serializeLightingRig,
+} from './lighting.js';
+import { applyMask, drawMaskPreview, isMaskActive, maskShapes, parseMaskSVG } from './masks.js';
+import { drawSmartGuides, getSnapFeatures, getSnapTargets, snapOffset } from './snapping.js';
+import { renderDifference, renderOnionSkin, renderSwipe } from './compare.js';
+import oldThumbnailUrl from './old_thumbnail.png';
 
 // List of available GLTF models in public folder
 const modelFiles = [
@@ -17,6 +53,11 @@ const modelFiles = [
 // Application state
 let viewer;
 let currentModelUrl = '/Truck.gltf';
+let currentModelName = 'Truck';
+let currentAssetMap = new Map();
+
+// Models uploaded this session by object URL, with the asset maps their files resolve through
+const uploadedModels = new Map();
 
 // Canvas thumbnail state
 let thumbnailCanvas = null;
@@ -26,7 +67,43 @@ let thumbnailOffset = { x: 0, y: 0 };
 let thumbnailDragging = false;
 let thumbnailDragStart = { x: 0, y: 0 };
 let thumbnailScale = 1.0;
+let thumbnailRotation = 0; // Degrees, clockwise
+let thumbnailMask = { shape: 'none', radius: 0.15 }; // Crop mask, see masks.js
+
+// Background layers for the 2D composite, see backgrounds.js
+let backgroundLayers = createBackgroundLayers();
+let backgroundImage = null; // Uploaded image for the image layer
+let environmentBackdrop = null; // Environment captured alongside the live preview
+let environmentBackdropKey = null; // View and environment settings environmentBackdrop was captured with
+
+// 2D effects on the model cutout, see effects.js
+let thumbnailEffects = createEffects();
+let effectsLayer = null; // thumbnailImage with its effects, reused while the composition changes
+let effectsLayerKey = null; // Capture and effect settings effectsLayer was rendered with
+const MIN_THUMBNAIL_SCALE = 0.3;
+const MAX_THUMBNAIL_SCALE = 3.0;
 let showThumbnailGuides = true;
+let guideTemplateId = 'thirds';
+let thumbnailSnapFeatures = null; // Snap features of the image being dragged
+let thumbnailSnapGuides = null; // Smart-guide lines for the active snap
+const SNAP_THRESHOLD = 6; // Screen pixels
+const NUDGE_STEP = 1; // Canvas pixels per arrow key press
+const NUDGE_STEP_LARGE = 10; // With Shift
+let nudgeHistoryTimeout = null;
+
+// Auto-trim crops every capture to its non-transparent bounds and re-frames it
+let autoTrim = false;
+const FULL_BOUNDS = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+
+// Output dimensions in pixels per side
+const MIN_OUTPUT_SIZE = 16;
+const MAX_OUTPUT_SIZE = 4096;
+
+// Touch gesture state for the 2D canvas
+let isUsingTouch = false; // Set while fingers are down so emulated mouse events are ignored
+let touchDragStart = { x: 0, y: 0 };
+let touchGesture = null; // Two-finger pinch/rotate start state
+const ROTATION_SNAP = 3; // Degrees from a quarter turn that snap to it
 let isLiveUpdating = false;
 let lastThumbnailUpdate = 0;
 const THUMBNAIL_UPDATE_INTERVAL = 150; // Increased to reduce flickering
@@ -35,6 +112,27 @@ let thumbnailInteractionTimeout = null;
 let isThumbnailInteracting = false;
 let newSnapshotData = null;
 
+// Preview gallery state
+let galleryEntries = [];
+let galleryEntryCount = 0;
+
+// Undo/redo state
+const editHistory = new History();
+let isRestoringHistory = false;
+
+// Batch render state
+let batchRecipe = null; // Recipe chosen for batch mode; null uses the current settings
+let batchResults = [];
+let batchExportSettings = null;
+let isBatchRunning = false;
+
+// Compare view state
+let compareReference = null;
+let compareCurrent = null;
+let compareMode = 'onion';
+const compareSliderValues = { onion: 50, swipe: 50, difference: 16 };
+let compareDragging = false;
+
 // 3D viewer interaction state
 let isViewerInteracting = false;
 let viewerWheelTimeout = null;
@@ -82,19 +180,152 @@ function populateModelDropdown() {
 	}
 }
 
+// Populate guide template dropdown from guides.json
+function populateGuideDropdown() {
+	const guideSelector = document.getElementById('guide-template');
+	if (!guideSelector) return;
+	
+	guideSelector.innerHTML = '';
+	guideTemplates.forEach(template => {
+		const option = document.createElement('option');
+		option.value = template.id;
+		option.textContent = template.name;
+		guideSelector.appendChild(option);
+	});
+	guideSelector.value = guideTemplateId;
+}
+
+// Populate export preset dropdown from presets.js
+function populateExportPresetDropdown() {
+	const presetSelector = document.getElementById('export-preset');
+	if (!presetSelector) return;
+	
+	presetSelector.innerHTML = '';
+	
+	exportPresets.forEach(preset => {
+		const option = document.createElement('option');
+		option.value = preset.id;
+		option.textContent = preset.name;
+		option.title = preset.sizes.map(size => `${size}px`).join(', ');
+		presetSelector.appendChild(option);
+	});
+}
+
+// Populate export format dropdown, disabling formats this browser cannot encode
+function populateExportFormatDropdown() {
+	const formatSelector = document.getElementById('export-format');
+	if (!formatSelector) return;
+	
+	formatSelector.innerHTML = '';
+	
+	exportFormats.forEach(format => {
+		const option = document.createElement('option');
+		option.value = format.id;
+		option.textContent = format.name;
+		if (!isFormatSupported(format)) {
+			option.disabled = true;
+			option.title = `${format.name} export is not supported by this browser`;
+		}
+		formatSelector.appendChild(option);
+	});
+	
+	updateExportFormatControls();
+}
+
+// Quality only applies to lossy formats, matte only to formats without alpha
+function updateExportFormatControls() {
+	const { format } = getExportSettings();
+	
+	const qualitySlider = document.getElementById('export-quality');
+	if (qualitySlider) {
+		qualitySlider.disabled = !format.lossy;
+	}
+	
+	const matteInput = document.getElementById('export-matte');
+	if (matteInput) {
+		matteInput.hidden = format.alpha;
+	}
+}
+
+// Update the export controls from saved settings
+function setExportSettings({ format, quality, matte, supersample }) {
+	const formatSelector = document.getElementById('export-format');
+	if (formatSelector && format) {
+		formatSelector.value = getExportFormat(format).id;
+	}
+	
+	const qualitySlider = document.getElementById('export-quality');
+	const qualityValue = document.getElementById('export-quality-value');
+	if (qualitySlider && quality !== undefined) {
+		qualitySlider.value = Math.round(quality * 100);
+		if (qualityValue) {
+			qualityValue.textContent = qualitySlider.value;
+		}
+	}
+	
+	const matteInput = document.getElementById('export-matte');
+	if (matteInput && matte) {
+		matteInput.value = matte;
+	}
+	
+	const supersampleSelector = document.getElementById('export-supersample');
+	if (supersampleSelector && supersample) {
+		supersampleSelector.value = String(supersample);
+	}
+	
+	updateExportFormatControls();
+}
+
+// Read the current export format, quality (0-1), matte color and supersampling from the UI
+function getExportSettings() {
+	const formatSelector = document.getElementById('export-format');
+	const qualitySlider = document.getElementById('export-quality');
+	const matteInput = document.getElementById('export-matte');
+	const supersampleSelector = document.getElementById('export-supersample');
+	
+	return {
+		format: getExportFormat(formatSelector ? formatSelector.value : 'png'),
+		quality: qualitySlider ? qualitySlider.value / 100 : 0.92,
+		matte: matteInput ? matteInput.value : '#ffffff',
+		supersample: supersampleSelector ? Number(supersampleSelector.value) : 1,
+	};
+}
+
 // Get the appropriate viewer size based on viewport width
+// Fitted inside the square viewer box at the output aspect ratio
 function getViewerSize() {
-	return window.innerWidth <= 600 ? 360 : 600;
+	const boxSize = window.innerWidth <= 600 ? 360 : 600;
+	const aspect = getOutputAspect();
+	return {
+		width: aspect >= 1 ? boxSize : Math.round(boxSize * aspect),
+		height: aspect >= 1 ? Math.round(boxSize / aspect) : boxSize,
+	};
+}
+
+// Output aspect ratio (width / height), taken from the 2D canvas resolution
+function getOutputAspect() {
+	const canvas = thumbnailCanvas || document.getElementById('thumbnail-canvas');
+	return canvas ? canvas.width / canvas.height : 1;
+}
+
+// Letterbox a canvas inside its square container at the given aspect ratio
+function setDisplayAspect(container, width, height) {
+	if (!container) return;
+	
+	const aspect = width / height;
+	container.style.setProperty('--canvas-width', `${aspect >= 1 ? 100 : aspect * 100}%`);
+	container.style.setProperty('--canvas-height', `${aspect >= 1 ? 100 / aspect : 100}%`);
 }
 
 // Update viewer renderer size
 function updateViewerSize() {
 	if (!viewer) return;
 	
-	const size = getViewerSize();
-	viewer.renderer.setSize(size, size);
-	viewer.defaultCamera.aspect = 1;
+	const { width, height } = getViewerSize();
+	viewer.renderer.setSize(width, height);
+	viewer.defaultCamera.aspect = width / height;
 	viewer.defaultCamera.updateProjectionMatrix();
+	setDisplayAspect(document.getElementById('viewer-container'), width, height);
 }
 
 // Initialize the viewer
@@ -108,11 +339,8 @@ function init() {
 		preset: null,
 	});
 	
-	// Set the renderer to the correct size based on viewport
-	const size = getViewerSize();
-	viewer.renderer.setSize(size, size);
-	viewer.defaultCamera.aspect = 1;
-	viewer.defaultCamera.updateProjectionMatrix();
+	// Set the renderer to the correct size based on viewport and output aspect ratio
+	updateViewerSize();
 	
 	console.log('Viewer initialized, renderer size:', viewer.renderer.domElement.width, viewer.renderer.domElement.height);
 	
@@ -143,9 +371,11 @@ function init() {
 	};
 }
 
-// Load a specific model
-function loadModel(modelUrl) {
+// Load a specific model. Resolves with true once the model is shown, or false on error.
+function loadModel(modelUrl, { assetMap = new Map(), name = null } = {}) {
 	currentModelUrl = modelUrl;
+	currentAssetMap = assetMap;
+	currentModelName = name || modelUrl.split('/').pop().replace(/\.(gltf|glb)$/i, '');
 	
 	console.log('Loading model:', modelUrl);
 	
@@ -175,8 +405,8 @@ function loadModel(modelUrl) {
 	viewer.state.grid = true;
 	
 	// Load the model
-	viewer.load(modelUrl, '', new Map())
-		.then((gltf) => {
+	return viewer.load(modelUrl, '', assetMap)
+		.then((gltf) => new Promise((resolve) => {
 		console.log('Model loaded successfully:', modelUrl, gltf);
 		console.log('Scene content:', viewer.content);
 			
@@ -216,9 +446,12 @@ function loadModel(modelUrl) {
 					lastThumbnailUpdate = 0;
 					updateThumbnailFromViewport();
 				}, 200);
+				
+				recordHistory();
+				resolve(true);
 			}, remainingTime);
-		})
-		.catch((error) => {
+		}))
+		.catch((error) => new Promise((resolve) => {
 			console.error('Error loading model:', error);
 			
 			// Calculate remaining time even for errors
@@ -234,8 +467,10 @@ function loadModel(modelUrl) {
 				if (viewer && viewer.renderer && viewer.renderer.domElement) {
 					viewer.renderer.domElement.style.visibility = 'visible';
 				}
+				
+				resolve(false);
 			}, remainingTime);
-		});
+		}));
 }
 
 // Controls interaction handlers
@@ -269,6 +504,8 @@ function onControlsEnd() {
 	setTimeout(() => {
 		updateThumbnailFromViewport();
 	}, 50);
+	
+	recordHistory();
 }
 
 // Viewer wheel handler
@@ -300,6 +537,8 @@ function onViewerWheel(event) {
 		setTimeout(() => {
 			updateThumbnailFromViewport();
 		}, 50);
+		
+		recordHistory();
 	}, 150);
 }
 
@@ -330,42 +569,184 @@ function updateThumbnailFromViewport() {
 	
 	// Use requestAnimationFrame to sync with render loop and reduce flickering
 	requestAnimationFrame(() => {
-		// Temporarily hide helpers during snapshot (less disruptive than remove/add)
-		const gridHelperVisible = viewer.gridHelper ? viewer.gridHelper.visible : false;
-		const axesHelperVisible = viewer.axesHelper ? viewer.axesHelper.visible : false;
+		// Capture the canvas with helpers hidden
+		const imageData = captureViewport(viewer);
 		
-		if (viewer.gridHelper) {
-			viewer.gridHelper.visible = false;
-		}
-		if (viewer.axesHelper) {
-			viewer.axesHelper.visible = false;
-		}
+		// Store the snapshot data
+		newSnapshotData = imageData;
 		
-		// Force a render
-		viewer.render();
+		// Model and composition changes leave the backdrop as it is
+		if (backgroundLayers.environment.enabled && getEnvironmentBackdropKey() !== environmentBackdropKey) {
+			updateEnvironmentBackdrop();
+		}
 		
-		// Capture the canvas as an image (PNG with transparency)
-		const imageData = viewer.renderer.domElement.toDataURL('image/png');
+		// Load image and update display
+		const image = new Image();
+		image.onload = () => setThumbnailCapture(image);
+		image.src = imageData;
+	});
+}
+
+// Show a live capture on the 2D canvas, trimmed when auto-trim is on. The offset and
+// scale stay relative to the trimmed frame unless asked to re-frame.
+function setThumbnailCapture(image, reframe = false) {
+	thumbnailImage = autoTrim ? trimCapture(image) : image;
+	if (autoTrim && reframe) {
+		const { offset, scale } = getTrimComposition(thumbnailImage, thumbnailCanvas, {
+			...getFramingSettings(),
+			rotation: thumbnailRotation,
+		});
+		thumbnailOffset = offset;
+		thumbnailScale = scale;
+	}
+	showThumbnailCanvas();
+	renderThumbnail();
+	updateToneHistogram();
+}
+
+// Crop a capture to its non-transparent bounds, leaving empty captures as they are
+function trimCapture(image) {
+	const bounds = getAlphaBounds(image);
+	return bounds ? trimImage(image, bounds) : image;
+}
+
+// Offset and scale that center a trimmed capture, by its bounds or its
+// alpha center of mass, inside the padding box at the given rotation
+function getTrimComposition(image, canvas, { padding, center, rotation = 0 }) {
+	const centerPoint = center === 'mass' ? getAlphaCenter(image) : null;
+	return getFramingComposition(FULL_BOUNDS, image, canvas, padding, {
+		min: MIN_THUMBNAIL_SCALE,
+		max: MAX_THUMBNAIL_SCALE,
+	}, 'contain', centerPoint, rotation);
+}
+
+// Capture the current view offscreen at export resolution, leaving the live preview untouched
+function captureFullQualityImage(width, height, scale = thumbnailScale, trim = autoTrim) {
+	const { supersample } = getExportSettings();
+	
+	// Zoomed-in compositions only show part of the capture, so render more pixels to keep
+	// them sharp, up to the largest capture the renderer produces
+	const captureScale = Math.min(Math.max(1, scale), MAX_CAPTURE_SIZE / Math.max(width, height));
+	const capture = (factor) => loadImage(captureViewport(viewer, {
+		width: Math.round(width * captureScale * factor),
+		height: Math.round(height * captureScale * factor),
+		supersample,
+	}));
+	
+	if (!trim) {
+		return capture(1);
+	}
+	
+	// Trimming keeps only the model's part of the capture, so render it again
+	// with that part at full resolution
+	return capture(1).then((image) => {
+		const bounds = getAlphaBounds(image);
+		if (!bounds) return image;
 		
-		// Restore helper visibility immediately
-		if (viewer.gridHelper) {
-			viewer.gridHelper.visible = gridHelperVisible;
+		const fraction = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+		const factor = Math.min(1 / fraction, MAX_OUTPUT_SIZE / (Math.max(width, height) * captureScale));
+		if (factor <= 1.1) {
+			return trimImage(image, bounds);
 		}
-		if (viewer.axesHelper) {
-			viewer.axesHelper.visible = axesHelperVisible;
-		}
-		
-		// Store the snapshot data
-		newSnapshotData = imageData;
+		return capture(factor).then(trimCapture);
+	});
+}
+
+// Populate output aspect ratio dropdown from presets.js
+function populateOutputAspectDropdown() {
+	const aspectSelector = document.getElementById('output-aspect');
+	if (!aspectSelector) return;
+	
+	aspectSelector.innerHTML = '';
+	aspectPresets.forEach(preset => {
+		const option = document.createElement('option');
+		option.value = preset.id;
+		option.textContent = preset.name;
+		aspectSelector.appendChild(option);
+	});
+	
+	const customOption = document.createElement('option');
+	customOption.value = 'custom';
+	customOption.textContent = 'Custom';
+	aspectSelector.appendChild(customOption);
+}
+
+// Preset whose ratio matches the given dimensions, if any
+function getAspectPreset(width, height) {
+	return aspectPresets.find(preset => Math.abs(preset.width / preset.height - width / height) < 0.001) || null;
+}
+
+// Show the output dimensions and matching ratio in the output controls
+function updateOutputControls() {
+	if (!thumbnailCanvas) return;
+	
+	const { width, height } = thumbnailCanvas;
+	const widthInput = document.getElementById('output-width');
+	const heightInput = document.getElementById('output-height');
+	const aspectSelector = document.getElementById('output-aspect');
+	
+	if (widthInput) widthInput.value = width;
+	if (heightInput) heightInput.value = height;
+	if (aspectSelector) {
+		const preset = getAspectPreset(width, height);
+		aspectSelector.value = preset ? preset.id : 'custom';
+	}
+}
+
+// Change the output dimensions. The 2D canvas, the 3D viewport and every
+// export follow them; the composition keeps its position relative to the canvas.
+function setOutputSize(width, height) {
+	if (!thumbnailCanvas) return;
+	
+	// Limit the aspect ratio to what fits between the smallest and largest side, then
+	// clamp the larger side and derive the other from the ratio. The controls show the result.
+	const maxRatio = MAX_OUTPUT_SIZE / MIN_OUTPUT_SIZE;
+	const ratio = Math.min(maxRatio, Math.max(1 / maxRatio, width / height));
+	const longRatio = Math.max(ratio, 1 / ratio);
+	const long = Math.min(MAX_OUTPUT_SIZE, Math.max(MIN_OUTPUT_SIZE * longRatio, Math.max(width, height)));
+	width = Math.round(ratio >= 1 ? long : long * ratio);
+	height = Math.round(ratio >= 1 ? long / ratio : long);
+	
+	if (width !== thumbnailCanvas.width || height !== thumbnailCanvas.height) {
+		console.log('Output size:', width, 'x', height);
 		
-		// Load image and update display
-		thumbnailImage = new Image();
-		thumbnailImage.onload = () => {
-			showThumbnailCanvas();
-			renderThumbnail();
+		thumbnailOffset = {
+			x: (thumbnailOffset.x / thumbnailCanvas.width) * width,
+			y: (thumbnailOffset.y / thumbnailCanvas.height) * height,
 		};
-		thumbnailImage.src = imageData;
-	});
+		thumbnailCanvas.width = width;
+		thumbnailCanvas.height = height;
+		
+		setDisplayAspect(document.getElementById('new-thumbnail'), width, height);
+		updateViewerSize();
+		
+		// Recapture so the 2D canvas matches the reshaped viewport
+		lastThumbnailUpdate = 0;
+		updateThumbnailFromViewport();
+		renderThumbnail();
+	}
+	
+	updateOutputControls();
+}
+
+// Width or height edited: keep the selected ratio unless it is Custom
+function onOutputDimensionChange(event) {
+	const value = parseInt(event.target.value, 10);
+	if (!(value > 0) || !thumbnailCanvas) {
+		updateOutputControls();
+		return;
+	}
+	
+	const aspectSelector = document.getElementById('output-aspect');
+	const preset = aspectSelector ? aspectPresets.find(entry => entry.id === aspectSelector.value) : null;
+	const ratio = preset ? preset.width / preset.height : null;
+	
+	if (event.target.id === 'output-width') {
+		setOutputSize(value, ratio ? value / ratio : thumbnailCanvas.height);
+	} else {
+		setOutputSize(ratio ? value * ratio : thumbnailCanvas.width, value);
+	}
+	recordHistory();
 }
 
 // Initialize thumbnail canvas
@@ -381,151 +762,976 @@ function initThumbnailCanvas() {
 	
 	// Add event listener for resizing with mouse wheel
 	thumbnailCanvas.addEventListener('wheel', onThumbnailWheel);
+	
+	// Touch: drag, pinch to scale and two-finger rotate
+	thumbnailCanvas.addEventListener('touchstart', onThumbnailTouchStart, { passive: false });
+	thumbnailCanvas.addEventListener('touchmove', onThumbnailTouchMove, { passive: false });
+	thumbnailCanvas.addEventListener('touchend', onThumbnailTouchEnd, { passive: false });
+	thumbnailCanvas.addEventListener('touchcancel', onThumbnailTouchEnd, { passive: false });
 }
 
 // Render thumbnail to canvas
 function renderThumbnail(includeGrid = null, includeBackground = true) {
+	updateTransformInspector();
 	if (!thumbnailCanvas || !thumbnailCtx || !thumbnailImage) return;
 	
 	const shouldShowGrid = includeGrid !== null ? includeGrid : showThumbnailGuides;
 	
-	// Clear canvas
-	thumbnailCtx.clearRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+	// Clear canvas to transparent and draw image with current offset and scale
+	drawThumbnail(thumbnailCtx, thumbnailImage, getThumbnailComposition(), getEffectsLayer());
 	
-	// Clear canvas to transparent
 	if (includeBackground) {
-		thumbnailCtx.clearRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+		drawBackground(thumbnailCtx, backgroundLayers, { image: backgroundImage, environment: environmentBackdrop });
 	}
 	
-	
-	// Draw image with current offset and scale
-	const baseScale = Math.min(thumbnailCanvas.width / thumbnailImage.width, thumbnailCanvas.height / thumbnailImage.height);
-	const scaledWidth = thumbnailImage.width * baseScale * thumbnailScale;
-	const scaledHeight = thumbnailImage.height * baseScale * thumbnailScale;
-	
-	const centerX = (thumbnailCanvas.width - scaledWidth) / 2;
-	const centerY = (thumbnailCanvas.height - scaledHeight) / 2;
-	
-	thumbnailCtx.drawImage(
-		thumbnailImage,
-		centerX + thumbnailOffset.x,
-		centerY + thumbnailOffset.y,
-		scaledWidth,
-		scaledHeight
-	);
+	// Guides and the mask preview live only on this on-screen canvas; exports composite from the captured image
+	const pixelRatio = getThumbnailPixelRatio();
+	drawMaskPreview(thumbnailCtx, thumbnailMask, pixelRatio);
+	if (shouldShowGrid) {
+		drawGuides(thumbnailCtx, getGuideTemplate(guideTemplateId), pixelRatio);
+	}
+	if (thumbnailSnapGuides) {
+		drawSmartGuides(thumbnailCtx, thumbnailSnapGuides, pixelRatio);
+	}
 }
 
-// Thumbnail canvas mouse handlers
-function onThumbnailMouseDown(event) {
-	showUpdateButton();
-	thumbnailDragging = true;
-	const rect = thumbnailCanvas.getBoundingClientRect();
-	const scaleX = thumbnailCanvas.width / rect.width;
-	const scaleY = thumbnailCanvas.height / rect.height;
-	
-	thumbnailDragStart = {
-		x: (event.clientX - rect.left) * scaleX - thumbnailOffset.x,
-		y: (event.clientY - rect.top) * scaleY - thumbnailOffset.y
-	};
-	
-	if (!isThumbnailInteracting) {
-		const container = document.getElementById('new-thumbnail');
-		if (container) {
-			container.classList.add('interacting');
-			isThumbnailInteracting = true;
-		}
+// The current 2D composition in canvas pixels
+function getThumbnailComposition() {
+	return { offset: thumbnailOffset, scale: thumbnailScale, rotation: thumbnailRotation };
+}
+
+// The effects layer for the live preview, rendered again only when the capture,
+// the effect settings or the canvas size change
+function getEffectsLayer() {
+	const key = JSON.stringify([thumbnailEffects, thumbnailCanvas.width, thumbnailCanvas.height]);
+	if (effectsLayerKey === null || effectsLayerKey.image !== thumbnailImage || effectsLayerKey.settings !== key) {
+		effectsLayer = createEffectsLayer(thumbnailImage, thumbnailEffects, thumbnailCanvas.width, thumbnailCanvas.height);
+		effectsLayerKey = { image: thumbnailImage, settings: key };
 	}
+	return effectsLayer;
 }
 
-function onThumbnailMouseMove(event) {
-	if (!thumbnailDragging) return;
-	
-	const rect = thumbnailCanvas.getBoundingClientRect();
-	const scaleX = thumbnailCanvas.width / rect.width;
-	const scaleY = thumbnailCanvas.height / rect.height;
-	
-	thumbnailOffset.x = (event.clientX - rect.left) * scaleX - thumbnailDragStart.x;
-	thumbnailOffset.y = (event.clientY - rect.top) * scaleY - thumbnailDragStart.y;
-	
+// Render the composition for export, with effects, the exported background layers and the crop mask applied
+function renderExportCanvas(image, composition, width, height, {
+	referenceWidth = width,
+	mask = thumbnailMask,
+	background = backgroundLayers,
+	effects = thumbnailEffects,
+	environment = null,
+} = {}) {
+	const layer = createEffectsLayer(image, effects, width, height, referenceWidth);
+	const canvas = renderThumbnailToCanvas(image, composition, width, height, referenceWidth, layer);
+	const ctx = canvas.getContext('2d');
+	drawBackground(ctx, background, { image: backgroundImage, environment, forExport: true });
+	applyMask(ctx, mask);
+	return canvas;
+}
+
+// Everything the environment backdrop depends on: the camera, the environment,
+// tone settings and post-processing, and the capture size
+function getEnvironmentBackdropKey() {
+	const { state, activeCamera, renderer } = viewer;
+	return JSON.stringify([
+		activeCamera.matrixWorld.elements,
+		activeCamera.projectionMatrix.elements,
+		renderer.domElement.width,
+		renderer.domElement.height,
+		state.environment,
+		state.environmentRotation,
+		state.environmentIntensity,
+		state.backgroundBlurriness,
+		state.exposure,
+		state.toneMapping,
+		state.postProcessing,
+	]);
+}
+
+// Capture the environment backdrop for the live preview
+function updateEnvironmentBackdrop() {
+	environmentBackdropKey = getEnvironmentBackdropKey();
+	const imageData = captureEnvironment(viewer);
+	if (!imageData) {
+		environmentBackdrop = null;
+		return;
+	}
+	loadImage(imageData).then((image) => {
+		environmentBackdrop = image;
+		renderThumbnail();
+	});
+}
+
+// Environment backdrop at export resolution, when the layer is exported
+function captureExportEnvironment(width, height, layers = backgroundLayers) {
+	if (!(layers.environment.enabled && layers.environment.export)) {
+		return Promise.resolve(null);
+	}
+	const { supersample } = getExportSettings();
+	const imageData = captureEnvironment(viewer, { width, height, supersample });
+	return imageData ? loadImage(imageData) : Promise.resolve(null);
+}
+
+// Fill in missing effects and settings from the defaults
+function mergeEffects(effects) {
+	const defaults = createEffects();
+	const merged = {};
+	effectIds.forEach(id => {
+		merged[id] = { ...defaults[id], ...(effects[id] || {}) };
+	});
+	return merged;
+}
+
+function setEffects(effects) {
+	thumbnailEffects = mergeEffects(effects);
+	updateEffectControls();
 	renderThumbnail();
 }
 
-function onThumbnailMouseUp() {
-	thumbnailDragging = false;
-	
-	if (isThumbnailInteracting) {
-		const container = document.getElementById('new-thumbnail');
-		if (container) {
-			container.classList.remove('interacting');
-			isThumbnailInteracting = false;
+// Show the effect settings in the effects dialog
+function updateEffectControls() {
+	document.querySelectorAll('[data-effect]').forEach(input => {
+		const value = thumbnailEffects[input.dataset.effect][input.dataset.effectKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
 		}
-	}
+	});
 }
 
-// Thumbnail canvas wheel handler
-function onThumbnailWheel(event) {
-	event.preventDefault();
-	showUpdateButton();
-	
-	const scaleSpeed = 0.025;
-	
-	if (event.deltaY < 0) {
-		thumbnailScale = Math.min(3.0, thumbnailScale + scaleSpeed);
+// An effects dialog input changed: update its effect setting
+function onEffectInput(event) {
+	const input = event.target;
+	const effect = thumbnailEffects[input.dataset.effect];
+	const key = input.dataset.effectKey;
+	
+	if (input.type === 'checkbox') {
+		effect[key] = input.checked;
+	} else if (input.type === 'number' || input.type === 'range') {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		effect[key] = value;
 	} else {
-		thumbnailScale = Math.max(0.3, thumbnailScale - scaleSpeed);
+		effect[key] = input.value;
 	}
 	
+	showUpdateButton();
 	renderThumbnail();
-	
-	// Add interacting class
-	if (!isThumbnailInteracting) {
-		const container = document.getElementById('new-thumbnail');
-		if (container) {
-			container.classList.add('interacting');
-			isThumbnailInteracting = true;
+}
+
+// Fill in missing shadows and settings from the defaults
+function mergeShadows(shadows) {
+	const defaults = createShadows();
+	const merged = {};
+	shadowIds.forEach(id => {
+		merged[id] = { ...defaults[id], ...(shadows[id] || {}) };
+	});
+	return merged;
+}
+
+// Ground shadows are part of the 3D scene, so they live in the viewer state
+function setShadows(shadows) {
+	viewer.state.shadows = mergeShadows(shadows);
+	viewer.updateShadows();
+	updateShadowControls();
+}
+
+// Show the ground shadow settings in the shadows dialog
+function updateShadowControls() {
+	if (!viewer) return;
+	document.querySelectorAll('[data-shadow]').forEach(input => {
+		const value = viewer.state.shadows[input.dataset.shadow][input.dataset.shadowKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
 		}
+	});
+}
+
+// A shadows dialog input changed: update the shadow and recapture the 3D view
+function onShadowInput(event) {
+	const input = event.target;
+	const shadow = viewer.state.shadows[input.dataset.shadow];
+	const key = input.dataset.shadowKey;
+	
+	if (input.type === 'checkbox') {
+		shadow[key] = input.checked;
+	} else {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		shadow[key] = value;
 	}
 	
-	// Clear existing timeout
-	if (thumbnailInteractionTimeout) {
-		clearTimeout(thumbnailInteractionTimeout);
-	}
-	
-	// Remove interacting class after wheel activity stops
-	thumbnailInteractionTimeout = setTimeout(() => {
-		const container = document.getElementById('new-thumbnail');
-		if (container) {
-			container.classList.remove('interacting');
-			isThumbnailInteracting = false;
-		}
-	}, 150);
+	viewer.updateShadows();
+	showUpdateButton();
+	updateThumbnailFromViewport();
 }
 
-// Show thumbnail canvas (canvas is visible from start)
-function showThumbnailCanvas() {
-	// Canvas is already active from start, just show the update button
-	const btn = document.getElementById('use-snapshot');
-	if (btn && thumbnailImage) {
-		btn.style.display = 'block';
-	}
+// Fill in missing post-processing effects and settings from the defaults
+function mergePostProcessing(settings) {
+	const defaults = createPostProcessing();
+	const merged = {};
+	postEffectIds.forEach(id => {
+		merged[id] = { ...defaults[id], ...(settings[id] || {}) };
+	});
+	merged.outline.meshes = [...merged.outline.meshes];
+	return merged;
 }
 
-// Clear the thumbnail preview
-function clearThumbnailPreview() {
-	console.log('Clearing thumbnail preview...');
-	
-	// Reset thumbnail state variables
-	thumbnailOffset = { x: 0, y: 0 };
-	thumbnailScale = 1.0;
-	thumbnailImage = null;
-	newSnapshotData = null;
-	
-	// Stop live updating during model loading
-	isLiveUpdating = false;
+// Post-processing runs on the 3D render, so it lives in the viewer state
+function setPostProcessing(settings) {
+	viewer.state.postProcessing = mergePostProcessing(settings);
+	viewer.updatePostProcessing();
+	updatePostControls();
+}
+
+// Show the post-processing settings, and the model's meshes for the outline
+function updatePostControls() {
+	if (!viewer) return;
+	const settings = viewer.state.postProcessing;
+	document.querySelectorAll('[data-post]').forEach(input => {
+		const value = settings[input.dataset.post][input.dataset.postKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
+		}
+	});
 	
-	const updateBtn = document.getElementById('use-snapshot');
-	if (updateBtn) {
-		updateBtn.style.display = 'none';
+	const meshSelector = document.getElementById('post-outline-meshes');
+	if (!meshSelector) return;
+	const names = new Set();
+	if (viewer.content) {
+		viewer.content.traverse(node => {
+			if (node.isMesh && node.name) names.add(node.name);
+		});
+	}
+	meshSelector.innerHTML = '';
+	names.forEach(name => {
+		const option = document.createElement('option');
+		option.value = name;
+		option.textContent = name;
+		option.selected = settings.outline.meshes.includes(name);
+		meshSelector.appendChild(option);
+	});
+}
+
+// A post-processing input changed: update the effect and recapture the 3D view
+function onPostInput(event) {
+	const input = event.target;
+	const effect = viewer.state.postProcessing[input.dataset.post];
+	const key = input.dataset.postKey;
+	
+	if (input.type === 'checkbox') {
+		effect[key] = input.checked;
+	} else if (input.type === 'number' || input.type === 'range') {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		effect[key] = value;
+	} else {
+		effect[key] = input.value;
+	}
+	
+	viewer.updatePostProcessing();
+	showUpdateButton();
+	updateThumbnailFromViewport();
+}
+
+// The outlined meshes changed; none selected outlines the whole model
+function onOutlineMeshesChange(event) {
+	viewer.state.postProcessing.outline.meshes = Array.from(event.target.selectedOptions, option => option.value);
+	viewer.updatePostProcessing();
+	showUpdateButton();
+	updateThumbnailFromViewport();
+	recordHistory();
+}
+
+// Fill in missing layers and settings from the defaults
+function mergeBackgroundLayers(layers) {
+	const defaults = createBackgroundLayers();
+	const merged = {};
+	backgroundLayerIds.forEach(id => {
+		merged[id] = { ...defaults[id], ...(layers[id] || {}) };
+	});
+	return merged;
+}
+
+function setBackgroundLayers(layers) {
+	backgroundLayers = mergeBackgroundLayers(layers);
+	updateBackgroundControls();
+	
+	if (backgroundLayers.environment.enabled && viewer) {
+		updateEnvironmentBackdrop();
+	}
+	renderThumbnail();
+}
+
+// Show the background layer settings in the background dialog
+function updateBackgroundControls() {
+	document.querySelectorAll('[data-background-layer]').forEach(input => {
+		const value = backgroundLayers[input.dataset.backgroundLayer][input.dataset.backgroundKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
+		}
+	});
+	
+	const angleInput = document.getElementById('bg-gradient-angle');
+	if (angleInput) {
+		angleInput.disabled = backgroundLayers.gradient.type !== 'linear';
+	}
+}
+
+// A background dialog input changed: update its layer setting
+function onBackgroundInput(event) {
+	const input = event.target;
+	const layer = backgroundLayers[input.dataset.backgroundLayer];
+	const key = input.dataset.backgroundKey;
+	
+	if (input.type === 'checkbox') {
+		layer[key] = input.checked;
+	} else if (input.type === 'number') {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		layer[key] = value;
+	} else {
+		layer[key] = input.value;
+	}
+	
+	if (input.dataset.backgroundLayer === 'environment' && layer.enabled) {
+		updateEnvironmentBackdrop();
+	}
+	
+	updateBackgroundControls();
+	showUpdateButton();
+	renderThumbnail();
+}
+
+function handleBackgroundImageUpload(event) {
+	const file = event.target.files[0];
+	if (!file) return;
+	
+	const url = URL.createObjectURL(file);
+	loadImage(url)
+		.then((image) => {
+			backgroundImage = image;
+			backgroundLayers.image.enabled = true;
+			
+			const imageName = document.getElementById('bg-image-name');
+			if (imageName) {
+				imageName.textContent = file.name;
+			}
+			
+			updateBackgroundControls();
+			showUpdateButton();
+			renderThumbnail();
+			recordHistory();
+		})
+		.catch((error) => {
+			console.error('Error loading background image:', error);
+			alert('Error loading background image: ' + file.name);
+		})
+		.finally(() => {
+			URL.revokeObjectURL(url);
+			event.target.value = '';
+		});
+}
+
+// Populate mask shape dropdown from masks.js
+function populateMaskDropdown() {
+	const maskSelector = document.getElementById('mask-shape');
+	if (!maskSelector) return;
+	
+	maskSelector.innerHTML = '';
+	maskShapes.forEach(shape => {
+		const option = document.createElement('option');
+		option.value = shape.id;
+		option.textContent = shape.name;
+		maskSelector.appendChild(option);
+	});
+}
+
+// Show the mask shape and only the settings that apply to it
+function updateMaskControls() {
+	const maskSelector = document.getElementById('mask-shape');
+	if (maskSelector) {
+		maskSelector.value = thumbnailMask.shape;
+	}
+	
+	const radiusInput = document.getElementById('mask-radius');
+	if (radiusInput) {
+		radiusInput.hidden = thumbnailMask.shape !== 'rounded-rect';
+		if (radiusInput !== document.activeElement) {
+			radiusInput.value = Math.round(thumbnailMask.radius * 100);
+		}
+	}
+	
+	const svgLabel = document.getElementById('mask-svg-label');
+	if (svgLabel) {
+		svgLabel.hidden = thumbnailMask.shape !== 'svg';
+	}
+}
+
+function setMask(mask) {
+	thumbnailMask = { ...thumbnailMask, ...mask };
+	updateMaskControls();
+	renderThumbnail();
+}
+
+function handleMaskSVGUpload(event) {
+	const file = event.target.files[0];
+	if (!file) return;
+	
+	file.text()
+		.then((text) => {
+			const { path, viewBox } = parseMaskSVG(text);
+			setMask({ shape: 'svg', path, viewBox });
+			showUpdateButton();
+			recordHistory();
+			console.log('Mask loaded from', file.name);
+		})
+		.catch((error) => {
+			console.error('Error loading mask SVG:', error);
+			alert('Error loading mask: ' + error.message);
+		})
+		.finally(() => {
+			event.target.value = '';
+		});
+}
+
+// Show the current offset, scale and rotation in the inspector fields.
+// The focused field is left alone so typing isn't overwritten.
+function updateTransformInspector() {
+	if (!thumbnailCanvas) return;
+	
+	const values = {
+		'inspector-x': Math.round(thumbnailOffset.x * 10) / 10,
+		'inspector-y': Math.round(thumbnailOffset.y * 10) / 10,
+		'inspector-x-percent': Math.round((thumbnailOffset.x / thumbnailCanvas.width) * 1000) / 10,
+		'inspector-y-percent': Math.round((thumbnailOffset.y / thumbnailCanvas.height) * 1000) / 10,
+		'inspector-scale': Math.round(thumbnailScale * 1000) / 10,
+		'inspector-rotation': Math.round(thumbnailRotation * 10) / 10,
+	};
+	
+	Object.entries(values).forEach(([id, value]) => {
+		const input = document.getElementById(id);
+		if (input && input !== document.activeElement) {
+			input.value = value;
+		}
+	});
+}
+
+// Apply an inspector field edit to the composition
+function onTransformInspectorInput(event) {
+	const value = parseFloat(event.target.value);
+	if (!Number.isFinite(value) || !thumbnailCanvas) return;
+	
+	switch (event.target.id) {
+		case 'inspector-x':
+			thumbnailOffset.x = value;
+			break;
+		case 'inspector-y':
+			thumbnailOffset.y = value;
+			break;
+		case 'inspector-x-percent':
+			thumbnailOffset.x = (value / 100) * thumbnailCanvas.width;
+			break;
+		case 'inspector-y-percent':
+			thumbnailOffset.y = (value / 100) * thumbnailCanvas.height;
+			break;
+		case 'inspector-scale':
+			thumbnailScale = Math.min(MAX_THUMBNAIL_SCALE, Math.max(MIN_THUMBNAIL_SCALE, value / 100));
+			break;
+		case 'inspector-rotation':
+			thumbnailRotation = normalizeRotation(value);
+			break;
+	}
+	
+	showUpdateButton();
+	renderThumbnail();
+}
+
+// Fit or fill the canvas with the model's alpha bounds, or show the capture at 100%
+function applyQuickScale(mode) {
+	if (!thumbnailImage || !thumbnailCanvas) return;
+	
+	if (mode === 'actual') {
+		thumbnailOffset = { x: 0, y: 0 };
+		thumbnailScale = 1.0;
+		thumbnailRotation = 0;
+	} else {
+		const bounds = getAlphaBounds(thumbnailImage);
+		if (!bounds) {
+			console.warn('Quick scale: model is not in view');
+			return;
+		}
+		
+		const { offset, scale } = getFramingComposition(bounds, thumbnailImage, thumbnailCanvas, 0, {
+			min: MIN_THUMBNAIL_SCALE,
+			max: MAX_THUMBNAIL_SCALE,
+		}, mode === 'fill' ? 'cover' : 'contain', null, thumbnailRotation);
+		thumbnailOffset = offset;
+		thumbnailScale = scale;
+	}
+	
+	showUpdateButton();
+	renderThumbnail();
+	recordHistory();
+}
+
+// Arrow keys nudge the 2D image; Shift moves in larger steps
+function onNudgeKeyDown(event) {
+	const directions = {
+		ArrowLeft: { x: -1, y: 0 },
+		ArrowRight: { x: 1, y: 0 },
+		ArrowUp: { x: 0, y: -1 },
+		ArrowDown: { x: 0, y: 1 },
+	};
+	const direction = directions[event.key];
+	if (!direction || !thumbnailImage || event.ctrlKey || event.metaKey || event.altKey) return;
+	
+	// Leave form controls and open dialogs their own arrow key handling
+	const target = event.target;
+	if (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || document.querySelector('dialog[open]')) {
+		return;
+	}
+	
+	event.preventDefault();
+	const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+	thumbnailOffset.x += direction.x * step;
+	thumbnailOffset.y += direction.y * step;
+	
+	showUpdateButton();
+	renderThumbnail();
+	
+	// One undo step per burst of nudges
+	if (nudgeHistoryTimeout) {
+		clearTimeout(nudgeHistoryTimeout);
+	}
+	nudgeHistoryTimeout = setTimeout(() => {
+		nudgeHistoryTimeout = null;
+		recordHistory();
+	}, 500);
+}
+
+// Canvas pixels per screen pixel of the 2D canvas
+function getThumbnailPixelRatio() {
+	return thumbnailCanvas.clientWidth ? thumbnailCanvas.width / thumbnailCanvas.clientWidth : 1;
+}
+
+// Snap a dragged offset to the canvas center, thirds and guide margins
+function getSnappedThumbnailOffset(offset) {
+	if (!thumbnailSnapFeatures) {
+		// Alpha bounds are measured unrotated; a rotated image only snaps its center
+		thumbnailSnapFeatures = getSnapFeatures(thumbnailRotation === 0 ? getAlphaBounds(thumbnailImage) : null);
+	}
+	
+	const guideLines = showThumbnailGuides ? getGuideLines(getGuideTemplate(guideTemplateId), thumbnailCanvas.width, thumbnailCanvas.height) : undefined;
+	const targets = getSnapTargets(thumbnailCanvas, guideLines);
+	const threshold = SNAP_THRESHOLD * getThumbnailPixelRatio();
+	
+	return snapOffset(offset, thumbnailImage, thumbnailCanvas, thumbnailScale, thumbnailSnapFeatures, targets, threshold);
+}
+
+// Thumbnail canvas mouse handlers
+function onThumbnailMouseDown(event) {
+	// Touch gestures drive the canvas on their own
+	if (isUsingTouch) return;
+	
+	showUpdateButton();
+	thumbnailDragging = true;
+	const rect = thumbnailCanvas.getBoundingClientRect();
+	const scaleX = thumbnailCanvas.width / rect.width;
+	const scaleY = thumbnailCanvas.height / rect.height;
+	
+	thumbnailDragStart = {
+		x: (event.clientX - rect.left) * scaleX - thumbnailOffset.x,
+		y: (event.clientY - rect.top) * scaleY - thumbnailOffset.y
+	};
+	
+	if (!isThumbnailInteracting) {
+		const container = document.getElementById('new-thumbnail');
+		if (container) {
+			container.classList.add('interacting');
+			isThumbnailInteracting = true;
+		}
+	}
+}
+
+function onThumbnailMouseMove(event) {
+	if (isUsingTouch || !thumbnailDragging) return;
+	
+	const rect = thumbnailCanvas.getBoundingClientRect();
+	const scaleX = thumbnailCanvas.width / rect.width;
+	const scaleY = thumbnailCanvas.height / rect.height;
+	
+	// Hold Alt to drag freely
+	setDraggedThumbnailOffset({
+		x: (event.clientX - rect.left) * scaleX - thumbnailDragStart.x,
+		y: (event.clientY - rect.top) * scaleY - thumbnailDragStart.y
+	}, !event.altKey);
+}
+
+// Move the image to a dragged offset, snapping unless disabled
+function setDraggedThumbnailOffset(offset, snap) {
+	if (snap) {
+		const snapped = getSnappedThumbnailOffset(offset);
+		offset = snapped.offset;
+		thumbnailSnapGuides = snapped.guides;
+	} else {
+		thumbnailSnapGuides = null;
+	}
+	
+	thumbnailOffset.x = offset.x;
+	thumbnailOffset.y = offset.y;
+	
+	renderThumbnail();
+}
+
+function onThumbnailMouseUp() {
+	if (isUsingTouch) return;
+	endThumbnailDrag();
+}
+
+// Finish a mouse or touch interaction on the 2D canvas
+function endThumbnailDrag() {
+	if (thumbnailDragging) {
+		recordHistory();
+	}
+	thumbnailDragging = false;
+	thumbnailSnapFeatures = null;
+	
+	if (thumbnailSnapGuides) {
+		thumbnailSnapGuides = null;
+		renderThumbnail();
+	}
+	
+	if (isThumbnailInteracting) {
+		const container = document.getElementById('new-thumbnail');
+		if (container) {
+			container.classList.remove('interacting');
+			isThumbnailInteracting = false;
+		}
+	}
+}
+
+// Wrap degrees into (-180, 180]
+function normalizeRotation(degrees) {
+	const wrapped = ((degrees % 360) + 360) % 360;
+	return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+// Touch position in canvas pixels
+function getTouchCoordinates(touch) {
+	const rect = thumbnailCanvas.getBoundingClientRect();
+	const scaleX = thumbnailCanvas.width / rect.width;
+	const scaleY = thumbnailCanvas.height / rect.height;
+	
+	return {
+		x: (touch.clientX - rect.left) * scaleX,
+		y: (touch.clientY - rect.top) * scaleY
+	};
+}
+
+// Distance, angle and midpoint of a two-finger touch, in canvas pixels
+function getTwoFingerState(touch1, touch2) {
+	const a = getTouchCoordinates(touch1);
+	const b = getTouchCoordinates(touch2);
+	return {
+		distance: Math.hypot(b.x - a.x, b.y - a.y),
+		angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+		center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+	};
+}
+
+// (Re)anchor the gesture to the fingers currently down, so adding or
+// lifting a finger never makes the image jump
+function beginTouchGesture(touches) {
+	if (touches.length >= 2) {
+		touchGesture = {
+			start: getTwoFingerState(touches[0], touches[1]),
+			offset: { x: thumbnailOffset.x, y: thumbnailOffset.y },
+			scale: thumbnailScale,
+			rotation: thumbnailRotation,
+		};
+		thumbnailSnapGuides = null;
+	} else if (touches.length === 1) {
+		touchGesture = null;
+		const coords = getTouchCoordinates(touches[0]);
+		touchDragStart = {
+			x: coords.x - thumbnailOffset.x,
+			y: coords.y - thumbnailOffset.y
+		};
+	}
+}
+
+// Touch handlers: one finger drags, two fingers pinch to scale and twist to rotate
+function onThumbnailTouchStart(event) {
+	event.preventDefault();
+	isUsingTouch = true;
+	thumbnailDragging = true;
+	showUpdateButton();
+	
+	if (!isThumbnailInteracting) {
+		const container = document.getElementById('new-thumbnail');
+		if (container) {
+			container.classList.add('interacting');
+			isThumbnailInteracting = true;
+		}
+	}
+	
+	beginTouchGesture(event.touches);
+}
+
+function onThumbnailTouchMove(event) {
+	event.preventDefault();
+	const touches = event.touches;
+	
+	if (touchGesture && touches.length >= 2) {
+		const current = getTwoFingerState(touches[0], touches[1]);
+		const { start } = touchGesture;
+		
+		thumbnailScale = Math.min(MAX_THUMBNAIL_SCALE, Math.max(MIN_THUMBNAIL_SCALE,
+			touchGesture.scale * (current.distance / start.distance)));
+		
+		// Settle on upright and quarter turns
+		let rotation = normalizeRotation(touchGesture.rotation + current.angle - start.angle);
+		const quarterTurn = Math.round(rotation / 90) * 90;
+		if (Math.abs(rotation - quarterTurn) < ROTATION_SNAP) {
+			rotation = normalizeRotation(quarterTurn);
+		}
+		thumbnailRotation = rotation;
+		
+		// Keep the image point that started between the fingers under their midpoint:
+		// scale and turn its vector from the image center, then move it with the fingers
+		const ratio = thumbnailScale / touchGesture.scale;
+		const turn = (rotation - touchGesture.rotation) * Math.PI / 180;
+		const fromCenterX = start.center.x - thumbnailCanvas.width / 2 - touchGesture.offset.x;
+		const fromCenterY = start.center.y - thumbnailCanvas.height / 2 - touchGesture.offset.y;
+		thumbnailOffset.x = current.center.x - thumbnailCanvas.width / 2 -
+			ratio * (fromCenterX * Math.cos(turn) - fromCenterY * Math.sin(turn));
+		thumbnailOffset.y = current.center.y - thumbnailCanvas.height / 2 -
+			ratio * (fromCenterX * Math.sin(turn) + fromCenterY * Math.cos(turn));
+		
+		renderThumbnail();
+	} else if (touches.length === 1 && !touchGesture) {
+		const coords = getTouchCoordinates(touches[0]);
+		setDraggedThumbnailOffset({
+			x: coords.x - touchDragStart.x,
+			y: coords.y - touchDragStart.y
+		}, true);
+	}
+}
+
+function onThumbnailTouchEnd(event) {
+	event.preventDefault();
+	
+	if (event.touches.length === 0) {
+		touchGesture = null;
+		endThumbnailDrag();
+		isUsingTouch = false;
+	} else {
+		beginTouchGesture(event.touches);
+	}
+}
+
+// Thumbnail canvas wheel handler
+function onThumbnailWheel(event) {
+	event.preventDefault();
+	showUpdateButton();
+	
+	const scaleSpeed = 0.025;
+	
+	if (event.deltaY < 0) {
+		thumbnailScale = Math.min(MAX_THUMBNAIL_SCALE, thumbnailScale + scaleSpeed);
+	} else {
+		thumbnailScale = Math.max(MIN_THUMBNAIL_SCALE, thumbnailScale - scaleSpeed);
+	}
+	
+	renderThumbnail();
+	
+	// Add interacting class
+	if (!isThumbnailInteracting) {
+		const container = document.getElementById('new-thumbnail');
+		if (container) {
+			container.classList.add('interacting');
+			isThumbnailInteracting = true;
+		}
+	}
+	
+	// Clear existing timeout
+	if (thumbnailInteractionTimeout) {
+		clearTimeout(thumbnailInteractionTimeout);
+	}
+	
+	// Remove interacting class after wheel activity stops
+	thumbnailInteractionTimeout = setTimeout(() => {
+		const container = document.getElementById('new-thumbnail');
+		if (container) {
+			container.classList.remove('interacting');
+			isThumbnailInteracting = false;
+		}
+		recordHistory();
+	}, 150);
+}
+
+// Auto frame settings from the frame controls. Padding is a fraction of the canvas.
+function getFramingSettings() {
+	const modeSelector = document.getElementById('auto-frame-mode');
+	const centerSelector = document.getElementById('auto-frame-center');
+	const paddingInput = document.getElementById('auto-frame-padding');
+	
+	return {
+		trim: autoTrim,
+		mode: modeSelector ? modeSelector.value : 'geometry',
+		center: centerSelector ? centerSelector.value : 'bounds',
+		padding: paddingInput ? Math.min(40, Math.max(0, Number(paddingInput.value) || 0)) / 100 : 0.1,
+	};
+}
+
+function setFramingSettings({ trim, mode, center, padding }) {
+	const modeSelector = document.getElementById('auto-frame-mode');
+	const centerSelector = document.getElementById('auto-frame-center');
+	const paddingInput = document.getElementById('auto-frame-padding');
+	
+	if (mode && modeSelector) modeSelector.value = mode;
+	if (center && centerSelector) centerSelector.value = center;
+	if (padding !== undefined && paddingInput) paddingInput.value = Math.round(padding * 100);
+	if (trim !== undefined) {
+		autoTrim = Boolean(trim);
+		updateAutoTrimButton();
+	}
+}
+
+function updateAutoTrimButton() {
+	const autoTrimBtn = document.getElementById('auto-trim-btn');
+	if (autoTrimBtn) {
+		autoTrimBtn.classList.toggle('active', autoTrim);
+	}
+}
+
+// Turn auto-trim on or off and re-frame the last capture to match
+function setAutoTrim(enabled) {
+	autoTrim = enabled;
+	updateAutoTrimButton();
+	if (!newSnapshotData) return;
+	
+	loadImage(newSnapshotData).then((image) => {
+		setThumbnailCapture(image, true);
+		// Untrimmed captures keep the trimmed framing through auto frame
+		if (!autoTrim) {
+			autoFrameThumbnail();
+		} else {
+			showUpdateButton();
+			recordHistory();
+		}
+	}).catch((error) => console.error('Error reframing capture:', error));
+}
+
+// Fit the model into the padding box by setting the 2D offset and scale
+function autoFrameThumbnail() {
+	if (!thumbnailImage || !thumbnailCanvas || !viewer || !viewer.content) return;
+	
+	const { mode, center, padding } = getFramingSettings();
+	
+	let offset;
+	let scale;
+	if (autoTrim) {
+		// The trimmed capture is already the model's bounds
+		({ offset, scale } = getTrimComposition(thumbnailImage, thumbnailCanvas, { padding, center, rotation: thumbnailRotation }));
+	} else {
+		// Alpha bounds follow the rendered silhouette; geometry bounds use the current camera
+		const bounds = mode === 'alpha'
+			? getAlphaBounds(thumbnailImage)
+			: getProjectedBounds(viewer.content, viewer.activeCamera);
+		
+		if (!bounds) {
+			console.warn('Auto frame: model is not in view');
+			return;
+		}
+		
+		({ offset, scale } = getFramingComposition(bounds, thumbnailImage, thumbnailCanvas, padding, {
+			min: MIN_THUMBNAIL_SCALE,
+			max: MAX_THUMBNAIL_SCALE,
+		}, 'contain', center === 'mass' ? getAlphaCenter(thumbnailImage) : null, thumbnailRotation));
+	}
+	
+	thumbnailOffset = offset;
+	thumbnailScale = scale;
+	
+	showUpdateButton();
+	renderThumbnail();
+	recordHistory();
+}
+
+// Show thumbnail canvas (canvas is visible from start)
+function showThumbnailCanvas() {
+	// Canvas is already active from start, just show the update button
+	const btn = document.getElementById('use-snapshot');
+	if (btn && thumbnailImage) {
+		btn.style.display = 'block';
+	}
+}
+
+// Clear the thumbnail preview
+function clearThumbnailPreview() {
+	console.log('Clearing thumbnail preview...');
+	
+	// Reset thumbnail state variables
+	thumbnailOffset = { x: 0, y: 0 };
+	thumbnailScale = 1.0;
+	thumbnailRotation = 0;
+	thumbnailImage = null;
+	newSnapshotData = null;
+	
+	// Stop live updating during model loading
+	isLiveUpdating = false;
+	
+	const updateBtn = document.getElementById('use-snapshot');
+	if (updateBtn) {
+		updateBtn.style.display = 'none';
+	}
+	
+	// Clear the new thumbnail canvas
+	if (thumbnailCanvas && thumbnailCtx) {
+		thumbnailCtx.clearRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+	}
+	
+	// Clear the current thumbnail image
+	const currentThumbnailDiv = document.getElementById('current-thumbnail');
+	if (currentThumbnailDiv) {
+		const img = currentThumbnailDiv.querySelector('img');
+		if (img) {
+			img.src = '';
+			img.style.display = 'none';
+		}
+	}
+	
+	// Hide download button
+	const downloadBtn = document.getElementById('download-thumbnail');
+	if (downloadBtn) {
+		downloadBtn.style.display = 'none';
+		downloadBtn.dataset.imageData = '';
+	}
+	
+	console.log('Thumbnail preview cleared');
+}
+
+// Reset only the new thumbnail view without clearing existing preview
+function resetNewThumbnailView() {
+	console.log('Resetting new thumbnail view...');
+	
+	// Reset thumbnail state variables
+	thumbnailOffset = { x: 0, y: 0 };
+	thumbnailScale = 1.0;
+	thumbnailRotation = 0;
+	thumbnailImage = null;
+	newSnapshotData = null;
+	
+	const updateBtn = document.getElementById('use-snapshot');
+	if (updateBtn) {
+		updateBtn.style.display = 'none';
 	}
 	
 	// Clear the new thumbnail canvas
@@ -533,72 +1739,1190 @@ function clearThumbnailPreview() {
 		thumbnailCtx.clearRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
 	}
 	
-	// Clear the current thumbnail image
+	// Re-enable live updating and capture current model view
+	isLiveUpdating = true;
+	hasUserInteracted = true;
+	
+	// Capture the current model view for the new thumbnail
+	setTimeout(() => {
+		updateThumbnailFromViewport();
+	}, 100);
+	
+	console.log('New thumbnail view reset complete');
+}
+
+// Reset lighting slider to default
+function resetLightingSlider() {
+	const lightIntensitySlider = document.getElementById('light-intensity');
+	if (lightIntensitySlider && viewer) {
+		// Reset slider to default value (100%)
+		lightIntensitySlider.value = 100;
+		
+		// Reset viewer lighting to base values
+		setLightMultiplier(1);
+	}
+}
+
+// Populate the environment dropdown, including files uploaded this session
+function populateEnvironmentDropdown() {
+	const environmentSelector = document.getElementById('environment-select');
+	if (!environmentSelector) return;
+	
+	environmentSelector.innerHTML = '';
+	environments.forEach(environment => {
+		const option = document.createElement('option');
+		option.value = environment.name;
+		option.textContent = environment.name;
+		environmentSelector.appendChild(option);
+	});
+	if (viewer) {
+		environmentSelector.value = viewer.state.environment;
+	}
+}
+
+// Switch the viewer environment, then refresh the captures that show it
+function setEnvironment(name) {
+	viewer.state.environment = name;
+	populateEnvironmentDropdown();
+	
+	return viewer.updateEnvironment().then(() => {
+		if (backgroundLayers.environment.enabled) {
+			updateEnvironmentBackdrop();
+		}
+		showUpdateButton();
+		updateThumbnailFromViewport();
+		recordHistory();
+	});
+}
+
+// Populate the tone mapping dropdown
+function populateToneMappingDropdown() {
+	const toneMappingSelector = document.getElementById('tone-mapping');
+	if (!toneMappingSelector) return;
+	
+	toneMappingSelector.innerHTML = '';
+	toneMappings.forEach(toneMapping => {
+		const option = document.createElement('option');
+		option.value = toneMapping.value;
+		option.textContent = toneMapping.name;
+		toneMappingSelector.appendChild(option);
+	});
+}
+
+// Show the viewer's tone mapping and exposure, which dat.gui can also change
+function updateToneControls() {
+	if (!viewer) return;
+	document.querySelectorAll('[data-tone-key]').forEach(input => {
+		if (input !== document.activeElement) {
+			input.value = Number(viewer.state[input.dataset.toneKey]);
+		}
+	});
+}
+
+// Tone mapping or exposure changed; both are baked into the capture by the renderer
+function onToneInput(event) {
+	const input = event.target;
+	const value = parseFloat(input.value);
+	if (!Number.isFinite(value)) return;
+	
+	viewer.state[input.dataset.toneKey] = value;
+	viewer.updateLights();
+	updateToneControls();
+	if (backgroundLayers.environment.enabled) {
+		updateEnvironmentBackdrop();
+	}
+	showUpdateButton();
+	updateThumbnailFromViewport();
+}
+
+// Redraw the histogram of the live capture while the tone dialog is open
+function updateToneHistogram() {
+	const toneDialog = document.getElementById('tone-dialog');
+	const canvas = document.getElementById('tone-histogram');
+	if (!toneDialog || !toneDialog.open || !canvas) return;
+	
+	const histogram = thumbnailImage ? computeHistogram(thumbnailImage) : null;
+	drawHistogram(canvas.getContext('2d'), histogram);
+	
+	const info = document.getElementById('tone-histogram-info');
+	if (info) {
+		info.textContent = histogram && histogram.count
+			? `Clipped: ${(histogram.clipped * 100).toFixed(1)}% of model pixels`
+			: 'No capture';
+	}
+}
+
+// Show the environment rotation, intensity and background settings
+function updateEnvironmentControls() {
+	if (!viewer) return;
+	document.querySelectorAll('[data-environment-key]').forEach(input => {
+		const value = viewer.state[input.dataset.environmentKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
+		}
+	});
+}
+
+// An environment setting changed. None of them need the environment prefiltered
+// again, so only how it is displayed is updated.
+function onEnvironmentInput(event) {
+	const input = event.target;
+	const key = input.dataset.environmentKey;
+	
+	if (input.type === 'checkbox') {
+		viewer.state[key] = input.checked;
+	} else {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		viewer.state[key] = value;
+	}
+	updateEnvironmentControls();
+	
+	viewer.updateEnvironmentDisplay();
+	onEnvironmentUpdated();
+}
+
+function onEnvironmentUpdated() {
+	if (backgroundLayers.environment.enabled) {
+		updateEnvironmentBackdrop();
+	}
+	showUpdateButton();
+	updateThumbnailFromViewport();
+}
+
+// Load an .hdr or .exr file as an environment for the rest of the session
+function handleEnvironmentUpload(event) {
+	const file = event.target.files && event.target.files[0];
+	if (!file) return;
+	
+	let environment;
+	try {
+		environment = createEnvironmentFile(file);
+	} catch (error) {
+		alert(error.message);
+		event.target.value = '';
+		return;
+	}
+	
+	// Load it before listing and switching, since the viewer falls back to Neutral on
+	// errors. A re-uploaded file only replaces the earlier one once it has loaded.
+	viewer.getEnvironmentScene(environment)
+		.then(() => {
+			const replaced = addEnvironment(environment);
+			return setEnvironment(environment.name).then(() => {
+				if (replaced) viewer.disposeEnvironmentScene(replaced.id);
+			});
+		})
+		.then(() => console.log('Environment loaded:', file.name))
+		.catch((error) => {
+			if (!environments.includes(environment)) {
+				URL.revokeObjectURL(environment.path);
+			}
+			console.error('Error loading environment:', error);
+			alert('Error loading environment: ' + (error.message || file.name));
+		});
+	
+	// Allow the same file to be loaded again
+	event.target.value = '';
+}
+
+// Scale every rig light by the intensity slider multiplier (0-2)
+function setLightMultiplier(multiplier) {
+	viewer.state.lightMultiplier = multiplier;
+	viewer.updateLights();
+}
+
+// Populate the lighting preset dropdown with built-in and loaded presets
+function populateLightingPresetDropdown() {
+	const presetSelector = document.getElementById('lighting-preset');
+	if (!presetSelector) return;
+	
+	presetSelector.innerHTML = '';
+	
+	// Shown while the rig has been edited away from its preset
+	const customOption = document.createElement('option');
+	customOption.value = '';
+	customOption.textContent = 'Custom';
+	presetSelector.appendChild(customOption);
+	
+	getLightingPresets().forEach(preset => {
+		const option = document.createElement('option');
+		option.value = preset.name;
+		option.textContent = preset.name;
+		presetSelector.appendChild(option);
+	});
+}
+
+// Rig lights are part of the 3D scene, so they live in the viewer state
+function setLightingRig(rig) {
+	viewer.state.rig = mergeLightingRig(rig);
+	viewer.updateLights();
+	updateLightingControls();
+}
+
+// Show the rig settings in the lighting dialog
+function updateLightingControls() {
+	if (!viewer) return;
+	const { rig } = viewer.state;
+	
+	document.querySelectorAll('[data-light]').forEach(input => {
+		const value = rig[input.dataset.light][input.dataset.lightKey];
+		if (input.type === 'checkbox') {
+			input.checked = value;
+		} else if (input !== document.activeElement) {
+			input.value = value;
+		}
+	});
+	
+	const presetSelector = document.getElementById('lighting-preset');
+	if (presetSelector) {
+		presetSelector.value = getLightingPreset(rig.name) ? rig.name : '';
+	}
+}
+
+// A lighting dialog input changed: update the light and recapture the 3D view
+function onLightingInput(event) {
+	const input = event.target;
+	const { rig } = viewer.state;
+	const light = rig[input.dataset.light];
+	const key = input.dataset.lightKey;
+	
+	if (input.type === 'checkbox') {
+		light[key] = input.checked;
+	} else if (input.type === 'number') {
+		const value = parseFloat(input.value);
+		if (!Number.isFinite(value)) return;
+		light[key] = value;
+	} else {
+		light[key] = input.value;
+	}
+	
+	// The rig no longer matches its preset
+	rig.name = '';
+	const presetSelector = document.getElementById('lighting-preset');
+	if (presetSelector) {
+		presetSelector.value = '';
+	}
+	
+	viewer.updateLights();
+	showUpdateButton();
+	updateThumbnailFromViewport();
+}
+
+function applyLightingPreset(name) {
+	const preset = getLightingPreset(name);
+	if (!preset) return;
+	
+	setLightingRig(JSON.parse(JSON.stringify(preset)));
+	showUpdateButton();
+	updateThumbnailFromViewport();
+	recordHistory();
+}
+
+// Download the current rig as a shareable preset, keeping it in the preset list
+function saveLightingPreset() {
+	if (!viewer) return;
+	
+	const name = prompt('Preset name', viewer.state.rig.name || 'My Lighting');
+	if (!name) return;
+	
+	const preset = { ...mergeLightingRig(viewer.state.rig), name };
+	addLightingPreset(preset);
+	viewer.state.rig.name = name;
+	populateLightingPresetDropdown();
+	updateLightingControls();
+	
+	const fileName = name.replace(/[^\w-]+/g, '-').toLowerCase();
+	downloadBlob(new Blob([serializeLightingRig(preset)], { type: 'application/json' }), `${fileName}.lighting.json`);
+	console.log('Lighting preset saved:', name);
+}
+
+// Load a lighting preset file, add it to the preset list and apply it
+function handleLightingPresetUpload(event) {
+	const file = event.target.files && event.target.files[0];
+	if (!file) return;
+	
+	file.text()
+		.then((text) => {
+			const preset = parseLightingRig(text);
+			addLightingPreset(preset);
+			populateLightingPresetDropdown();
+			applyLightingPreset(preset.name);
+			console.log('Lighting preset loaded:', file.name);
+		})
+		.catch((error) => {
+			console.error('Error loading lighting preset:', error);
+			alert('Error loading lighting preset: ' + error.message);
+		});
+	
+	// Allow the same file to be loaded again
+	event.target.value = '';
+}
+
+// Collect everything that defines the current thumbnail into a recipe
+function getRecipe() {
+	const lightIntensitySlider = document.getElementById('light-intensity');
+	const { format, quality, matte, supersample } = getExportSettings();
+	
+	return {
+		model: currentModelName,
+		camera: viewer.getCameraView(),
+		lighting: {
+			multiplier: lightIntensitySlider ? lightIntensitySlider.value / 100 : 1,
+			rig: mergeLightingRig(viewer.state.rig),
+			exposure: viewer.state.exposure,
+			toneMapping: getToneMappingId(viewer.state.toneMapping),
+		},
+		environment: {
+			name: viewer.state.environment,
+			background: viewer.state.background,
+			blur: viewer.state.backgroundBlurriness,
+			rotation: viewer.state.environmentRotation,
+			intensity: viewer.state.environmentIntensity,
+		},
+		shadows: mergeShadows(viewer.state.shadows),
+		postProcessing: mergePostProcessing(viewer.state.postProcessing),
+		composition: {
+			offsetX: thumbnailOffset.x / thumbnailCanvas.width,
+			offsetY: thumbnailOffset.y / thumbnailCanvas.height,
+			scale: thumbnailScale,
+			rotation: thumbnailRotation,
+		},
+		framing: getFramingSettings(),
+		output: {
+			width: thumbnailCanvas.width,
+			height: thumbnailCanvas.height,
+		},
+		mask: { ...thumbnailMask },
+		// The uploaded image itself isn't stored; its layer only applies once an image is loaded
+		background: mergeBackgroundLayers(backgroundLayers),
+		effects: mergeEffects(thumbnailEffects),
+		export: {
+			format: format.id,
+			quality,
+			matte,
+			supersample,
+		},
+	};
+}
+
+// Apply a recipe's camera, lighting, shadows, post-processing and environment to the viewer.
+// Resolves once the environment has loaded.
+function applyRecipeToViewer(recipe) {
+	const { camera, lighting, environment, shadows, postProcessing } = recipe;
+	
+	if (camera) {
+		// Recipes always apply to the default camera, leaving any glTF camera
+		viewer.setCameraView(camera);
+	}
+	
+	if (lighting) {
+		if (lighting.rig) {
+			setLightingRig(lighting.rig);
+		} else if (lighting.ambientColor || lighting.directColor) {
+			// Recipes from before lighting rigs had one ambient and one direct light
+			const rig = createLightingRig();
+			if (lighting.ambientColor) {
+				rig.hemisphere.skyColor = rig.hemisphere.groundColor = lighting.ambientColor;
+			}
+			if (lighting.directColor) {
+				rig.key.color = lighting.directColor;
+			}
+			setLightingRig(rig);
+		}
+		if (lighting.exposure !== undefined) viewer.state.exposure = lighting.exposure;
+		if (lighting.toneMapping !== undefined) {
+			// Snapshots skip parseRecipe, so legacy renderer constants are resolved here too
+			const toneMapping = getToneMappingValue(resolveToneMappingId(lighting.toneMapping));
+			if (toneMapping !== null) {
+				viewer.state.toneMapping = toneMapping;
+			} else {
+				console.warn('Recipe tone mapping not found, keeping current:', lighting.toneMapping);
+			}
+		}
+		updateToneControls();
+		
+		const multiplier = lighting.multiplier !== undefined ? lighting.multiplier : 1;
+		const lightIntensitySlider = document.getElementById('light-intensity');
+		if (lightIntensitySlider) {
+			lightIntensitySlider.value = multiplier * 100;
+		}
+		setLightMultiplier(multiplier);
+	}
+	
+	if (shadows) {
+		setShadows(shadows);
+	}
+	
+	if (postProcessing) {
+		setPostProcessing(postProcessing);
+	}
+	
+	if (!environment) {
+		return Promise.resolve();
+	}
+	
+	if (environments.some(entry => entry.name === environment.name)) {
+		viewer.state.environment = environment.name;
+	} else {
+		console.warn('Recipe environment not found, keeping current:', environment.name);
+	}
+	viewer.state.background = Boolean(environment.background);
+	viewer.state.backgroundBlurriness = environment.blur || 0;
+	viewer.state.environmentRotation = environment.rotation || 0;
+	viewer.state.environmentIntensity = environment.intensity !== undefined ? environment.intensity : 1;
+	updateEnvironmentControls();
+	return viewer.updateEnvironment();
+}
+
+// Convert a recipe's composition (fractions of the canvas) to canvas pixels
+function getRecipeComposition(recipe, canvas) {
+	const composition = recipe.composition || {};
+	return {
+		offset: {
+			x: (composition.offsetX || 0) * canvas.width,
+			y: (composition.offsetY || 0) * canvas.height,
+		},
+		scale: composition.scale || 1.0,
+		rotation: composition.rotation || 0,
+	};
+}
+
+// Apply a recipe to the current model. Resolves once the environment has loaded
+// and the 2D canvas has been recaptured.
+function applyRecipe(recipe) {
+	if (recipe.export) {
+		setExportSettings(recipe.export);
+	}
+	
+	if (recipe.output) {
+		setOutputSize(recipe.output.width, recipe.output.height);
+	}
+	
+	if (recipe.framing) {
+		setFramingSettings(recipe.framing);
+	}
+	
+	if (recipe.mask) {
+		setMask(recipe.mask);
+	}
+	
+	if (recipe.background) {
+		setBackgroundLayers(recipe.background);
+	}
+	
+	if (recipe.effects) {
+		setEffects(recipe.effects);
+	}
+	
+	if (recipe.composition) {
+		const { offset, scale, rotation } = getRecipeComposition(recipe, thumbnailCanvas);
+		thumbnailOffset = offset;
+		thumbnailScale = scale;
+		thumbnailRotation = rotation;
+	}
+	
+	return applyRecipeToViewer(recipe).then(() => new Promise((resolve) => {
+		// Recapture so the 2D canvas reflects the recipe's camera and lighting
+		isLiveUpdating = true;
+		lastThumbnailUpdate = 0;
+		updateThumbnailFromViewport();
+		showUpdateButton();
+		requestAnimationFrame(() => resolve());
+	}));
+}
+
+// Current model plus the recipe that reproduces its camera, lighting and composition.
+// Export settings are preferences rather than edits, so they are left out.
+function getSnapshot() {
+	const { export: exportSettings, ...recipe } = getRecipe();
+	return {
+		model: { url: currentModelUrl, name: currentModelName, assetMap: currentAssetMap },
+		recipe,
+	};
+}
+
+// Restore a snapshot, reloading the model first if it changed or reload is set.
+// Resolves whether it was restored.
+function restoreSnapshot({ model, recipe }, { reload = false } = {}) {
+	let modelLoaded = Promise.resolve(true);
+	if (reload || model.url !== currentModelUrl) {
+		const modelSelector = document.getElementById('model-selector');
+		if (modelSelector) {
+			const isListed = Array.from(modelSelector.options).some(option => option.value === model.url);
+			modelSelector.value = isListed ? model.url : '';
+		}
+		modelLoaded = loadModel(model.url, { assetMap: model.assetMap, name: model.name });
+	}
+	
+	return modelLoaded.then((loaded) => loaded ? applyRecipe(recipe).then(() => true) : false);
+}
+
+// Push the current snapshot onto the undo stack
+function recordHistory() {
+	if (isRestoringHistory || isBatchRunning || !viewer || !viewer.content || !thumbnailCanvas) return;
+	
+	const snapshot = getSnapshot();
+	const key = JSON.stringify({ url: snapshot.model.url, recipe: snapshot.recipe });
+	editHistory.push(key, snapshot);
+}
+
+function restoreHistoryEntry(entry) {
+	if (!entry) return;
+	
+	isRestoringHistory = true;
+	restoreSnapshot(entry)
+		.catch((error) => console.error('Error restoring history:', error))
+		.finally(() => {
+			isRestoringHistory = false;
+		});
+}
+
+function undo() {
+	if (isRestoringHistory || isBatchRunning) return;
+	restoreHistoryEntry(editHistory.undo());
+}
+
+function redo() {
+	if (isRestoringHistory || isBatchRunning) return;
+	restoreHistoryEntry(editHistory.redo());
+}
+
+// Ctrl+Z / Cmd+Z to undo, with Shift (or Ctrl+Y) to redo
+function onHistoryKeyDown(event) {
+	if (!(event.ctrlKey || event.metaKey)) return;
+	
+	// Leave text fields to their native undo
+	const target = event.target;
+	if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && ['text', 'number'].includes(target.type))) {
+		return;
+	}
+	
+	const key = event.key.toLowerCase();
+	if (key === 'z') {
+		event.preventDefault();
+		event.shiftKey ? redo() : undo();
+	} else if (key === 'y') {
+		event.preventDefault();
+		redo();
+	}
+}
+
+// Download the current recipe as JSON
+function saveRecipe() {
+	if (!viewer || !thumbnailCanvas) return;
+	
+	const json = serializeRecipe(getRecipe());
+	downloadBlob(new Blob([json], { type: 'application/json' }), `${currentModelName || 'thumbnail'}.recipe.json`);
+	console.log('Recipe saved');
+}
+
+// Load a recipe JSON file and apply it to the current model
+function handleRecipeUpload(event) {
+	const file = event.target.files && event.target.files[0];
+	if (!file) return;
+	
+	file.text()
+		.then((text) => applyRecipe(parseRecipe(text)))
+		.then(() => {
+			recordHistory();
+			console.log('Recipe applied:', file.name);
+		})
+		.catch((error) => {
+			console.error('Error loading recipe:', error);
+			alert('Error loading recipe: ' + error.message);
+		});
+	
+	// Allow the same file to be loaded again
+	event.target.value = '';
+}
+
+// Whether a bundled model file exists. The dev server answers missing files with
+// index.html, so HTML responses count as missing. Checked once per URL.
+const modelAvailability = new Map();
+
+function isModelAvailable(url) {
+	if (!modelAvailability.has(url)) {
+		const request = fetch(url, { method: 'HEAD' })
+			.then(response => response.ok && !(response.headers.get('content-type') || '').includes('text/html'))
+			.catch(() => false);
+		modelAvailability.set(url, request);
+	}
+	return modelAvailability.get(url);
+}
+
+// Fill the batch model list from the model selector entries and this session's uploads.
+// Bundled models stay unchecked and disabled until their file is found.
+function populateBatchModelList() {
+	const modelSelector = document.getElementById('model-selector');
+	const modelList = document.getElementById('batch-model-list');
+	const selectAll = document.getElementById('batch-select-all');
+	if (!modelSelector || !modelList) return;
+	
+	modelList.innerHTML = '';
+	
+	const models = Array.from(modelSelector.options).map(option => ({ url: option.value, name: option.textContent, bundled: true }));
+	uploadedModels.forEach(({ name }, url) => models.push({ url, name, bundled: false }));
+	
+	models.forEach(({ url, name, bundled }) => {
+		const label = document.createElement('label');
+		label.className = 'batch-model-item';
+		
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.value = url;
+		checkbox.dataset.name = name;
+		
+		const setAvailable = (available) => {
+			checkbox.disabled = !available;
+			checkbox.checked = available && (selectAll ? selectAll.checked : true);
+			label.classList.toggle('unavailable', !available);
+			label.title = available ? '' : 'Model file not found';
+		};
+		if (bundled) {
+			checkbox.disabled = true;
+			isModelAvailable(url).then(setAvailable);
+		} else {
+			setAvailable(true);
+		}
+		
+		label.appendChild(checkbox);
+		label.appendChild(document.createTextNode(' ' + name));
+		modelList.appendChild(label);
+	});
+}
+
+// Load a recipe file to use for the next batch
+function handleBatchRecipeUpload(event) {
+	const file = event.target.files && event.target.files[0];
+	if (!file) return;
+	
+	file.text()
+		.then((text) => {
+			batchRecipe = parseRecipe(text);
+			const recipeName = document.getElementById('batch-recipe-name');
+			if (recipeName) {
+				recipeName.textContent = 'Recipe: ' + file.name;
+			}
+		})
+		.catch((error) => {
+			console.error('Error loading batch recipe:', error);
+			alert('Error loading recipe: ' + error.message);
+		});
+	
+	event.target.value = '';
+}
+
+// Disable batch controls while rendering
+function setBatchRunning(running) {
+	isBatchRunning = running;
+	
+	['batch-run', 'batch-close', 'batch-download-all', 'batch-select-all'].forEach(id => {
+		const element = document.getElementById(id);
+		if (element) {
+			element.disabled = running || (id === 'batch-download-all' && !batchResults.some(result => result.imageData));
+		}
+	});
+	
+	const recipeUploadInput = document.getElementById('batch-recipe-upload');
+	if (recipeUploadInput) {
+		recipeUploadInput.disabled = running;
+	}
+}
+
+// Render one recipe across the checked models, then restore the user's model and composition
+async function runBatch() {
+	const checkboxes = Array.from(document.querySelectorAll('#batch-model-list input:checked'));
+	if (checkboxes.length === 0 || isBatchRunning) return;
+	
+	const recipe = batchRecipe || getRecipe();
+	// Export settings are part of the recipe here, since the batch may change them
+	const previous = { model: getSnapshot().model, recipe: getRecipe() };
+	const progress = document.getElementById('batch-progress');
+	
+	batchResults = [];
+	renderBatchResults();
+	setBatchRunning(true);
+	
+	// Keep the live 2D preview from capturing batch models
+	isLiveUpdating = false;
+	
+	try {
+		if (recipe.export) {
+			setExportSettings(recipe.export);
+		}
+		batchExportSettings = getExportSettings();
+		
+		// Recipes without output dimensions render at the current ones
+		if (recipe.output) {
+			setOutputSize(recipe.output.width, recipe.output.height);
+		}
+		const { width, height } = thumbnailCanvas;
+		const composition = getRecipeComposition(recipe, thumbnailCanvas);
+		const mask = recipe.mask || thumbnailMask;
+		const background = recipe.background ? mergeBackgroundLayers(recipe.background) : backgroundLayers;
+		const effects = recipe.effects ? mergeEffects(recipe.effects) : thumbnailEffects;
+		const framing = { ...getFramingSettings(), ...(recipe.framing || {}) };
+		
+		// Apply lighting and environment up front so every load starts with the recipe's environment
+		await applyRecipeToViewer(recipe);
+		
+		for (let i = 0; i < checkboxes.length; i++) {
+			const { value: url, dataset: { name } } = checkboxes[i];
+			if (progress) {
+				progress.textContent = `Rendering ${i + 1} of ${checkboxes.length}: ${name}`;
+			}
+			
+			try {
+				// Load through setContent so every model gets the same normalization
+				// Uploaded models resolve their .bin and textures through their asset map
+				const upload = uploadedModels.get(url);
+				await viewer.load(url, '', upload ? upload.assetMap : new Map());
+				await applyRecipeToViewer(recipe);
+				
+				const image = await captureFullQualityImage(width, height, composition.scale, framing.trim);
+				const environment = await captureExportEnvironment(width, height, background);
+				// Trimmed captures are framed per model, keeping the recipe's rotation
+				const modelComposition = framing.trim
+					? { ...composition, ...getTrimComposition(image, { width, height }, { ...framing, rotation: composition.rotation }) }
+					: composition;
+				const imageData = renderExportCanvas(image, modelComposition, width, height, { mask, background, effects, environment })
+					.toDataURL('image/png');
+				batchResults.push({ name, imageData });
+			} catch (error) {
+				console.error('Batch render failed for', name, error);
+				batchResults.push({ name, error: (error && error.message) || String(error) });
+			}
+			
+			renderBatchResults();
+		}
+		
+		const failures = batchResults.filter(result => result.error).length;
+		if (progress) {
+			progress.textContent = `Rendered ${batchResults.length - failures} of ${batchResults.length}` +
+				(failures ? ` (${failures} failed)` : '');
+		}
+	} finally {
+		// Restore the model and composition the user was working on, reloading the model
+		// the same way undo does. History stays untouched while the batch is running.
+		try {
+			await restoreSnapshot(previous, { reload: true });
+		} catch (error) {
+			console.error('Error restoring model after batch:', error);
+		}
+		
+		setBatchRunning(false);
+	}
+}
+
+// Show batch results with a download button for each success
+function renderBatchResults() {
+	const resultsDiv = document.getElementById('batch-results');
+	if (!resultsDiv) return;
+	
+	resultsDiv.innerHTML = '';
+	
+	const downloadIcon = document.querySelector('#download-thumbnail svg');
+	
+	batchResults.forEach(result => {
+		const item = document.createElement('div');
+		item.className = 'batch-result';
+		
+		if (result.imageData) {
+			const img = document.createElement('img');
+			img.src = result.imageData;
+			img.alt = result.name;
+			item.appendChild(img);
+		}
+		
+		const name = document.createElement('div');
+		name.className = 'batch-result-name';
+		name.textContent = result.name;
+		item.appendChild(name);
+		
+		if (result.error) {
+			const error = document.createElement('div');
+			error.className = 'batch-result-error';
+			error.textContent = result.error;
+			item.appendChild(error);
+		} else {
+			const downloadBtn = document.createElement('button');
+			downloadBtn.className = 'download-thumbnail-btn';
+			downloadBtn.title = 'Download Image';
+			if (downloadIcon) {
+				downloadBtn.appendChild(downloadIcon.cloneNode(true));
+			}
+			downloadBtn.addEventListener('click', () => {
+				downloadBatchResult(result).catch((error) => {
+					console.error('Error exporting batch result:', error);
+					alert('Error exporting thumbnail: ' + error.message);
+				});
+			});
+			item.appendChild(downloadBtn);
+		}
+		
+		resultsDiv.appendChild(item);
+	});
+}
+
+// Encode a batch result with the batch's export settings
+async function encodeBatchResult(result) {
+	const { format, quality, matte } = batchExportSettings;
+	const blob = await encodeImageData(result.imageData, format, { quality, matte });
+	return { blob, filename: `${result.name}.${format.extension}` };
+}
+
+async function downloadBatchResult(result) {
+	const { blob, filename } = await encodeBatchResult(result);
+	downloadBlob(blob, filename);
+}
+
+// Download every successful batch result as a zip
+async function downloadAllBatchResults() {
+	const files = [];
+	for (const result of batchResults) {
+		if (!result.imageData) continue;
+		const { blob, filename } = await encodeBatchResult(result);
+		files.push({ name: filename, data: new Uint8Array(await blob.arrayBuffer()) });
+	}
+	
+	if (files.length > 0) {
+		downloadBlob(createZip(files), `batch-${getTimestamp()}.zip`);
+	}
+}
+
+// Show an image in the Preview panel and make it the download target
+function showPreviewImage(imageData) {
 	const currentThumbnailDiv = document.getElementById('current-thumbnail');
-	if (currentThumbnailDiv) {
-		const img = currentThumbnailDiv.querySelector('img');
-		if (img) {
-			img.src = '';
-			img.style.display = 'none';
-		}
+	const img = currentThumbnailDiv && currentThumbnailDiv.querySelector('img');
+	if (img) {
+		img.src = imageData;
+		img.style.display = 'block'; // Make the image visible
 	}
 	
-	// Hide download button
+	// Show download button after update completes
 	const downloadBtn = document.getElementById('download-thumbnail');
 	if (downloadBtn) {
-		downloadBtn.style.display = 'none';
-		downloadBtn.dataset.imageData = '';
+		downloadBtn.style.display = 'flex';
+		// Store the image data for download
+		downloadBtn.dataset.imageData = imageData;
+	} else {
+		console.error('Download button not found!');
+	}
+}
+
+// Add a created preview to the session gallery
+function addGalleryEntry(imageData, snapshot) {
+	galleryEntries.push({
+		id: ++galleryEntryCount,
+		imageData,
+		snapshot,
+		starred: false,
+	});
+	renderGallery();
+}
+
+// Short description of an entry's camera and 2D state
+function describeSnapshot({ model, recipe }) {
+	const position = recipe.camera.position.map(value => value.toFixed(2)).join(', ');
+	const target = recipe.camera.target.map(value => value.toFixed(2)).join(', ');
+	const { offsetX, offsetY, scale, rotation } = recipe.composition;
+	return {
+		summary: `${model.name} · ${scale.toFixed(2)}×`,
+		details: [
+			`Model: ${model.name}`,
+			`Camera: (${position}) → (${target}), FOV ${recipe.camera.fov.toFixed(0)}°`,
+			`2D offset: ${(offsetX * 100).toFixed(1)}%, ${(offsetY * 100).toFixed(1)}%`,
+			`2D scale: ${scale.toFixed(3)}`,
+			`2D rotation: ${rotation.toFixed(1)}°`,
+			`Output: ${recipe.output.width} × ${recipe.output.height}`,
+			`Mask: ${isMaskActive(recipe.mask) ? maskShapes.find(shape => shape.id === recipe.mask.shape).name : 'none'}`,
+		].join('\n'),
+	};
+}
+
+// Restore the entry's model, camera and composition and show its image
+function restoreGalleryEntry(entry) {
+	if (isRestoringHistory || isBatchRunning) return;
+	
+	isRestoringHistory = true;
+	restoreSnapshot(entry.snapshot)
+		.then((restored) => {
+			if (restored) {
+				showPreviewImage(entry.imageData);
+			}
+		})
+		.catch((error) => console.error('Error restoring gallery entry:', error))
+		.finally(() => {
+			isRestoringHistory = false;
+			recordHistory();
+		});
+}
+
+function downloadGalleryEntry(entry) {
+	const { format, quality, matte } = getExportSettings();
+	return encodeImageData(entry.imageData, format, { quality, matte }).then((blob) => {
+		downloadBlob(blob, `${entry.snapshot.model.name}-${entry.id}.${format.extension}`);
+	});
+}
+
+// Download every starred entry as a zip
+async function downloadStarredGalleryEntries() {
+	const { format, quality, matte } = getExportSettings();
+	const files = [];
+	for (const entry of galleryEntries.filter(item => item.starred)) {
+		const blob = await encodeImageData(entry.imageData, format, { quality, matte });
+		files.push({
+			name: `${entry.snapshot.model.name}-${entry.id}.${format.extension}`,
+			data: new Uint8Array(await blob.arrayBuffer()),
+		});
 	}
 	
-	console.log('Thumbnail preview cleared');
+	if (files.length > 0) {
+		downloadBlob(createZip(files), `starred-${getTimestamp()}.zip`);
+	}
 }
 
-// Reset only the new thumbnail view without clearing existing preview
-function resetNewThumbnailView() {
-	console.log('Resetting new thumbnail view...');
+// Create a small icon button for a gallery entry
+function createGalleryButton(className, title, content, onClick) {
+	const button = document.createElement('button');
+	button.className = `gallery-btn ${className}`;
+	button.title = title;
+	if (typeof content === 'string') {
+		button.textContent = content;
+	} else if (content) {
+		button.appendChild(content);
+	}
+	button.addEventListener('click', (event) => {
+		event.stopPropagation();
+		onClick();
+	});
+	return button;
+}
+
+// Rebuild the filmstrip of previews created this session
+function renderGallery() {
+	const gallery = document.getElementById('preview-gallery');
+	const strip = document.getElementById('gallery-strip');
+	if (!gallery || !strip) return;
 	
-	// Reset thumbnail state variables
-	thumbnailOffset = { x: 0, y: 0 };
-	thumbnailScale = 1.0;
-	thumbnailImage = null;
-	newSnapshotData = null;
+	gallery.hidden = galleryEntries.length === 0;
+	strip.innerHTML = '';
 	
-	const updateBtn = document.getElementById('use-snapshot');
-	if (updateBtn) {
-		updateBtn.style.display = 'none';
+	const downloadIcon = document.querySelector('#download-thumbnail svg');
+	
+	galleryEntries.forEach(entry => {
+		const { summary, details } = describeSnapshot(entry.snapshot);
+		
+		const item = document.createElement('div');
+		item.className = 'gallery-item' + (entry.starred ? ' starred' : '');
+		item.title = details + '\n\nClick to restore';
+		item.addEventListener('click', () => restoreGalleryEntry(entry));
+		
+		const img = document.createElement('img');
+		img.src = entry.imageData;
+		img.alt = summary;
+		item.appendChild(img);
+		
+		const caption = document.createElement('div');
+		caption.className = 'gallery-caption';
+		caption.textContent = summary;
+		item.appendChild(caption);
+		
+		const actions = document.createElement('div');
+		actions.className = 'gallery-actions';
+		actions.appendChild(createGalleryButton('gallery-star-btn', entry.starred ? 'Unstar' : 'Star', entry.starred ? '★' : '☆', () => {
+			entry.starred = !entry.starred;
+			renderGallery();
+		}));
+		actions.appendChild(createGalleryButton('gallery-download-btn', 'Download Image', downloadIcon && downloadIcon.cloneNode(true), () => {
+			downloadGalleryEntry(entry).catch((error) => {
+				console.error('Error exporting gallery entry:', error);
+				alert('Error exporting thumbnail: ' + error.message);
+			});
+		}));
+		actions.appendChild(createGalleryButton('gallery-delete-btn', 'Delete', '✕', () => {
+			galleryEntries = galleryEntries.filter(item => item !== entry);
+			renderGallery();
+		}));
+		item.appendChild(actions);
+		
+		strip.appendChild(item);
+	});
+	
+	const downloadStarredBtn = document.getElementById('gallery-download-starred');
+	if (downloadStarredBtn) {
+		downloadStarredBtn.disabled = !galleryEntries.some(entry => entry.starred);
 	}
 	
-	// Clear the new thumbnail canvas
-	if (thumbnailCanvas && thumbnailCtx) {
-		thumbnailCtx.clearRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+	// Keep the newest entry in view
+	strip.scrollLeft = strip.scrollWidth;
+}
+
+// Render the current composition at every size in a preset and download them as a zip
+async function exportPresetSizes(presetId) {
+	const preset = exportPresets.find(entry => entry.id === presetId);
+	if (!preset || !thumbnailImage || !thumbnailCanvas) return;
+	
+	console.log('Exporting preset:', preset.name, preset.sizes);
+	
+	const composition = getThumbnailComposition();
+	const { format, quality, matte } = getExportSettings();
+	const timestamp = getTimestamp();
+	const files = [];
+	
+	// Sizes are widths; heights follow the output aspect ratio
+	const getHeight = (width) => Math.round(width * thumbnailCanvas.height / thumbnailCanvas.width);
+	
+	// Capture once at the largest size and downscale for the rest
+	const largest = Math.max(...preset.sizes);
+	const image = await captureFullQualityImage(largest, getHeight(largest));
+	const environment = await captureExportEnvironment(largest, getHeight(largest));
+	
+	for (const size of preset.sizes) {
+		const height = getHeight(size);
+		const canvas = renderExportCanvas(image, composition, size, height, {
+			referenceWidth: thumbnailCanvas.width,
+			environment,
+		});
+		const dimensions = height === size ? `${size}` : `${size}x${height}`;
+		files.push({
+			name: `thumbnail-${timestamp}-${dimensions}.${format.extension}`,
+			data: await canvasToBytes(canvas, format, { quality, matte }),
+		});
 	}
 	
-	// Re-enable live updating and capture current model view
-	isLiveUpdating = true;
-	hasUserInteracted = true;
+	downloadBlob(createZip(files), `thumbnails-${preset.id}-${timestamp}.zip`);
+	console.log('Preset export complete:', files.map(file => file.name).join(', '));
+}
+
+// The image under review: the created preview, or the live composition when there is none
+function getCompareCurrentImage() {
+	const downloadBtn = document.getElementById('download-thumbnail');
+	if (downloadBtn && downloadBtn.dataset.imageData) {
+		return loadImage(downloadBtn.dataset.imageData);
+	}
+	if (!thumbnailImage || !thumbnailCanvas) {
+		return Promise.resolve(null);
+	}
+	const composition = getThumbnailComposition();
+	return Promise.resolve(renderExportCanvas(thumbnailImage, composition, thumbnailCanvas.width, thumbnailCanvas.height, {
+		environment: environmentBackdrop,
+	}));
+}
+
+async function openCompareDialog() {
+	const compareDialog = document.getElementById('compare-dialog');
+	if (!compareDialog) return;
 	
-	// Capture the current model view for the new thumbnail
-	setTimeout(() => {
-		updateThumbnailFromViewport();
-	}, 100);
+	compareCurrent = await getCompareCurrentImage();
+	if (!compareCurrent) {
+		alert('Create a thumbnail before comparing.');
+		return;
+	}
 	
-	console.log('New thumbnail view reset complete');
+	// Default to the shipped thumbnail until another reference is loaded
+	if (!compareReference) {
+		compareReference = await loadImage(oldThumbnailUrl);
+	}
+	
+	compareDialog.showModal();
+	setCompareMode(compareMode);
 }
 
-// Reset lighting slider to default
-function resetLightingSlider() {
-	const lightIntensitySlider = document.getElementById('light-intensity');
-	if (lightIntensitySlider && viewer) {
-		// Reset slider to default value (100%)
-		lightIntensitySlider.value = 100;
-		
-		// Reset viewer lighting to base values
-		viewer.state.ambientIntensity = 0.3;
-		viewer.state.directIntensity = 0.8 * Math.PI;
-		viewer.updateLights();
+function setCompareMode(mode) {
+	compareMode = mode;
+	
+	document.querySelectorAll('.compare-mode-btn').forEach(button => {
+		button.classList.toggle('active', button.dataset.mode === mode);
+	});
+	
+	const labels = { onion: 'Opacity', swipe: 'Divider', difference: 'Threshold' };
+	const sliderLabel = document.getElementById('compare-slider-label');
+	if (sliderLabel) {
+		sliderLabel.textContent = labels[mode];
+	}
+	
+	const slider = document.getElementById('compare-slider');
+	if (slider) {
+		slider.value = compareSliderValues[mode];
+	}
+	
+	const compareCanvas = document.getElementById('compare-canvas');
+	if (compareCanvas) {
+		compareCanvas.classList.toggle('swipe', mode === 'swipe');
+	}
+	
+	renderCompare();
+}
+
+function renderCompare() {
+	const compareCanvas = document.getElementById('compare-canvas');
+	if (!compareCanvas || !compareReference || !compareCurrent) return;
+	
+	const ctx = compareCanvas.getContext('2d');
+	const value = compareSliderValues[compareMode];
+	const stats = document.getElementById('compare-stats');
+	let statsText = '';
+	
+	if (compareMode === 'swipe') {
+		renderSwipe(ctx, compareReference, compareCurrent, value / 100);
+		statsText = 'New ◂ ▸ Reference';
+	} else if (compareMode === 'difference') {
+		// Slider 0-100 maps onto a 0-255 channel threshold
+		const threshold = Math.round(value * 2.55);
+		const { changedRatio } = renderDifference(ctx, compareReference, compareCurrent, threshold);
+		statsText = `${(changedRatio * 100).toFixed(2)}% pixels changed`;
+	} else {
+		renderOnionSkin(ctx, compareReference, compareCurrent, value / 100);
+		statsText = `${value}% new`;
+	}
+	
+	if (stats) {
+		stats.textContent = statsText;
 	}
 }
 
+function handleCompareReferenceUpload(event) {
+	const file = event.target.files[0];
+	if (!file) return;
+	
+	const url = URL.createObjectURL(file);
+	loadImage(url)
+		.then((image) => {
+			compareReference = image;
+			const referenceName = document.getElementById('compare-reference-name');
+			if (referenceName) {
+				referenceName.textContent = file.name;
+			}
+			renderCompare();
+		})
+		.catch((error) => {
+			console.error('Error loading reference image:', error);
+			alert('Error loading reference image: ' + file.name);
+		})
+		.finally(() => {
+			URL.revokeObjectURL(url);
+			event.target.value = '';
+		});
+}
+
+// Move the swipe divider to the pointer
+function updateSwipeFromPointer(event) {
+	const compareCanvas = event.currentTarget;
+	const rect = compareCanvas.getBoundingClientRect();
+	const position = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+	compareSliderValues.swipe = Math.round(position * 100);
+	
+	const slider = document.getElementById('compare-slider');
+	if (slider) {
+		slider.value = compareSliderValues.swipe;
+	}
+	renderCompare();
+}
+
 // Handle file upload
 function handleFileUpload(event) {
 	const files = Array.from(event.target.files);
@@ -692,6 +3016,11 @@ function handleFileUpload(event) {
 				
 				// Update current model URL reference
 				currentModelUrl = fileURL;
+				currentModelName = mainFile.name.replace(/\.(gltf|glb)$/i, '');
+				currentAssetMap = assetMap;
+				uploadedModels.set(fileURL, { name: currentModelName, assetMap });
+				
+				recordHistory();
 				
 				// Enable live updating and force initial thumbnail capture
 				isLiveUpdating = true;
@@ -738,6 +3067,8 @@ document.addEventListener('DOMContentLoaded', () => {
 	console.log('=== DOMContentLoaded fired ===');
 	// Populate model dropdown first
 	populateModelDropdown();
+	populateExportPresetDropdown();
+	populateExportFormatDropdown();
 	
 	try {
 		init();
@@ -800,6 +3131,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			viewer.controls.reset();
 			resetNewThumbnailView();
 			resetLightingSlider();
+			recordHistory();
 		});
 	}
 	
@@ -819,38 +3151,34 @@ document.addEventListener('DOMContentLoaded', () => {
 				downloadBtn.style.display = 'none';
 			}
 			
-			// Render without grid and background for transparent export
-			renderThumbnail(false, false);
-			
-			const finalImageData = thumbnailCanvas.toDataURL('image/png');
 			const currentThumbnailDiv = document.getElementById('current-thumbnail');
-			
 			currentThumbnailDiv.classList.add('loading');
 			
-			setTimeout(() => {
-				const img = currentThumbnailDiv.querySelector('img');
-				if (img) {
-					img.src = finalImageData;
-					img.style.display = 'block'; // Make the image visible
-				}
-				
-				// Show download button after update completes
-				if (downloadBtn) {
-					downloadBtn.style.display = 'flex';
-					// Store the image data for download
-					downloadBtn.dataset.imageData = finalImageData;
-					console.log('Download button should now be visible');
-				} else {
-					console.error('Download button not found!');
-				}
-				
-				setTimeout(() => {
-					currentThumbnailDiv.classList.remove('loading');
-				}, 10);
-			}, 500);
+			const updateStartTime = Date.now();
+			const snapshot = getSnapshot();
 			
-			// Re-render with guides
-			renderThumbnail();
+			// Render the final composite offscreen at full export resolution
+			const { width, height } = thumbnailCanvas;
+			Promise.all([captureFullQualityImage(width, height), captureExportEnvironment(width, height)])
+				.then(([image, environment]) => {
+					const composition = getThumbnailComposition();
+					const finalImageData = renderExportCanvas(image, composition, width, height, { environment }).toDataURL('image/png');
+					const remainingTime = Math.max(0, 500 - (Date.now() - updateStartTime));
+					
+					setTimeout(() => {
+						showPreviewImage(finalImageData);
+						addGalleryEntry(finalImageData, snapshot);
+						
+						setTimeout(() => {
+							currentThumbnailDiv.classList.remove('loading');
+						}, 10);
+					}, remainingTime);
+				})
+				.catch((error) => {
+					console.error('Error creating preview:', error);
+					currentThumbnailDiv.classList.remove('loading');
+					showUpdateButton();
+				});
 		}
 		});
 	}
@@ -901,20 +3229,13 @@ document.addEventListener('DOMContentLoaded', () => {
 	// Lighting intensity slider
 	const lightIntensitySlider = document.getElementById('light-intensity');
 	if (lightIntensitySlider && viewer) {
-		// Store base lighting values
-		const baseAmbientIntensity = viewer.state.ambientIntensity;
-		const baseDirectIntensity = viewer.state.directIntensity;
-		
 		lightIntensitySlider.addEventListener('input', (event) => {
-			const multiplier = event.target.value / 100; // Convert 0-200 to 0-2
-			
-			// Update lighting intensities
-			viewer.state.ambientIntensity = baseAmbientIntensity * multiplier;
-			viewer.state.directIntensity = baseDirectIntensity * multiplier;
-			
-			// Apply the changes
-			viewer.updateLights();
+			// Convert 0-200 to 0-2 and update lighting intensities
+			setLightMultiplier(event.target.value / 100);
 		});
+		
+		// Record once the slider is released
+		lightIntensitySlider.addEventListener('change', recordHistory);
 	}
 	
 	// Download thumbnail button functionality
@@ -926,23 +3247,403 @@ document.addEventListener('DOMContentLoaded', () => {
 			console.log('Download button clicked, imageData exists:', !!imageData);
 			
 			if (imageData) {
-				// Create a temporary link element to trigger download
-				const link = document.createElement('a');
-				link.href = imageData;
+				// Re-encode the preview in the selected export format
+				const { format, quality, matte } = getExportSettings();
 				
-				// Generate filename with timestamp
-				const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-				link.download = `thumbnail-${timestamp}.png`;
-				
-				// Trigger download
-				document.body.appendChild(link);
-				link.click();
-				document.body.removeChild(link);
-				console.log('Download initiated');
+				encodeImageData(imageData, format, { quality, matte })
+					.then((blob) => {
+						// Generate filename with timestamp
+						downloadBlob(blob, `thumbnail-${getTimestamp()}.${format.extension}`);
+						console.log('Download initiated');
+					})
+					.catch((error) => {
+						console.error('Error encoding thumbnail:', error);
+						alert('Error exporting thumbnail: ' + error.message);
+					});
 			}
 		});
 	} else {
 		console.error('Download button not found during initialization!');
 	}
+	
+	// Undo/redo shortcuts
+	document.addEventListener('keydown', onHistoryKeyDown);
+	
+	// Transform inspector and arrow key nudging
+	document.querySelectorAll('.inspector-input').forEach(input => {
+		input.addEventListener('input', onTransformInspectorInput);
+		input.addEventListener('change', () => {
+			recordHistory();
+			updateTransformInspector();
+		});
+	});
+	
+	const quickScaleSelector = document.getElementById('quick-scale');
+	if (quickScaleSelector) {
+		quickScaleSelector.addEventListener('change', (event) => {
+			applyQuickScale(event.target.value);
+			// Act like a menu: return to the placeholder after each pick
+			event.target.value = '';
+		});
+	}
+	
+	document.addEventListener('keydown', onNudgeKeyDown);
+	
+	// Preview gallery
+	const downloadStarredBtn = document.getElementById('gallery-download-starred');
+	if (downloadStarredBtn) {
+		downloadStarredBtn.addEventListener('click', () => {
+			downloadStarredGalleryEntries().catch((error) => {
+				console.error('Error exporting starred previews:', error);
+				alert('Error exporting thumbnails: ' + error.message);
+			});
+		});
+	}
+	
+	// Recipe save and load
+	const saveRecipeBtn = document.getElementById('save-recipe');
+	if (saveRecipeBtn) {
+		saveRecipeBtn.addEventListener('click', saveRecipe);
+	}
+	
+	const recipeUploadInput = document.getElementById('recipe-upload');
+	if (recipeUploadInput) {
+		recipeUploadInput.addEventListener('change', handleRecipeUpload);
+	}
+	
+	// Batch render dialog
+	const batchDialog = document.getElementById('batch-dialog');
+	const openBatchBtn = document.getElementById('open-batch');
+	if (batchDialog && openBatchBtn) {
+		openBatchBtn.addEventListener('click', () => {
+			populateBatchModelList();
+			batchDialog.showModal();
+		});
+		
+		// Keep the dialog open while a batch is rendering
+		batchDialog.addEventListener('cancel', (event) => {
+			if (isBatchRunning) {
+				event.preventDefault();
+			}
+		});
+		
+		document.getElementById('batch-close').addEventListener('click', () => batchDialog.close());
+		document.getElementById('batch-recipe-upload').addEventListener('change', handleBatchRecipeUpload);
+		
+		document.getElementById('batch-select-all').addEventListener('change', (event) => {
+			document.querySelectorAll('#batch-model-list input:enabled').forEach(checkbox => {
+				checkbox.checked = event.target.checked;
+			});
+		});
+		
+		document.getElementById('batch-run').addEventListener('click', () => {
+			runBatch().catch((error) => {
+				console.error('Batch render failed:', error);
+				alert('Batch render failed: ' + error.message);
+				isLiveUpdating = true;
+				setBatchRunning(false);
+			});
+		});
+		
+		document.getElementById('batch-download-all').addEventListener('click', () => {
+			downloadAllBatchResults().catch((error) => {
+				console.error('Error exporting batch results:', error);
+				alert('Error exporting thumbnails: ' + error.message);
+			});
+		});
+	}
+	
+	// Compare dialog
+	const compareDialog = document.getElementById('compare-dialog');
+	const openCompareBtn = document.getElementById('open-compare');
+	if (compareDialog && openCompareBtn) {
+		openCompareBtn.addEventListener('click', () => {
+			openCompareDialog().catch((error) => {
+				console.error('Error opening compare view:', error);
+				alert('Error opening compare view: ' + error.message);
+			});
+		});
+		
+		document.getElementById('compare-close').addEventListener('click', () => compareDialog.close());
+		document.getElementById('compare-reference-upload').addEventListener('change', handleCompareReferenceUpload);
+		
+		document.querySelectorAll('.compare-mode-btn').forEach(button => {
+			button.addEventListener('click', () => setCompareMode(button.dataset.mode));
+		});
+		
+		document.getElementById('compare-slider').addEventListener('input', (event) => {
+			compareSliderValues[compareMode] = parseInt(event.target.value, 10);
+			renderCompare();
+		});
+		
+		// Drag the divider directly on the canvas in swipe mode
+		const compareCanvas = document.getElementById('compare-canvas');
+		compareCanvas.addEventListener('pointerdown', (event) => {
+			if (compareMode !== 'swipe') return;
+			compareDragging = true;
+			compareCanvas.setPointerCapture(event.pointerId);
+			updateSwipeFromPointer(event);
+		});
+		compareCanvas.addEventListener('pointermove', (event) => {
+			if (compareDragging) {
+				updateSwipeFromPointer(event);
+			}
+		});
+		compareCanvas.addEventListener('pointerup', () => {
+			compareDragging = false;
+		});
+		compareCanvas.addEventListener('pointercancel', () => {
+			compareDragging = false;
+		});
+	}
+	
+	// Output aspect ratio and dimensions
+	populateOutputAspectDropdown();
+	updateOutputControls();
+	const outputAspectSelector = document.getElementById('output-aspect');
+	if (outputAspectSelector) {
+		outputAspectSelector.addEventListener('change', (event) => {
+			const preset = aspectPresets.find(entry => entry.id === event.target.value);
+			if (preset) {
+				setOutputSize(preset.width, preset.height);
+				recordHistory();
+			}
+		});
+	}
+	['output-width', 'output-height'].forEach(id => {
+		const input = document.getElementById(id);
+		if (input) {
+			input.addEventListener('change', onOutputDimensionChange);
+		}
+	});
+	
+	// Background dialog
+	const backgroundDialog = document.getElementById('background-dialog');
+	const openBackgroundBtn = document.getElementById('open-background');
+	if (backgroundDialog && openBackgroundBtn) {
+		openBackgroundBtn.addEventListener('click', () => {
+			updateBackgroundControls();
+			backgroundDialog.showModal();
+		});
+		document.getElementById('background-close').addEventListener('click', () => backgroundDialog.close());
+		document.getElementById('bg-image-upload').addEventListener('change', handleBackgroundImageUpload);
+		
+		document.querySelectorAll('[data-background-layer]').forEach(input => {
+			input.addEventListener('input', onBackgroundInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Effects dialog
+	const effectsDialog = document.getElementById('effects-dialog');
+	const openEffectsBtn = document.getElementById('open-effects');
+	if (effectsDialog && openEffectsBtn) {
+		openEffectsBtn.addEventListener('click', () => {
+			updateEffectControls();
+			effectsDialog.showModal();
+		});
+		document.getElementById('effects-close').addEventListener('click', () => effectsDialog.close());
+		
+		document.querySelectorAll('[data-effect]').forEach(input => {
+			input.addEventListener('input', onEffectInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Environment dialog
+	const environmentDialog = document.getElementById('environment-dialog');
+	const openEnvironmentBtn = document.getElementById('open-environment');
+	if (environmentDialog && openEnvironmentBtn) {
+		openEnvironmentBtn.addEventListener('click', () => {
+			populateEnvironmentDropdown();
+			updateEnvironmentControls();
+			environmentDialog.showModal();
+		});
+		document.getElementById('environment-close').addEventListener('click', () => environmentDialog.close());
+		document.getElementById('environment-select').addEventListener('change', (event) => {
+			setEnvironment(event.target.value);
+		});
+		document.getElementById('environment-upload').addEventListener('change', handleEnvironmentUpload);
+		
+		document.querySelectorAll('[data-environment-key]').forEach(input => {
+			input.addEventListener('input', onEnvironmentInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Lighting dialog
+	const lightingDialog = document.getElementById('lighting-dialog');
+	const openLightingBtn = document.getElementById('open-lighting');
+	if (lightingDialog && openLightingBtn) {
+		populateLightingPresetDropdown();
+		openLightingBtn.addEventListener('click', () => {
+			updateLightingControls();
+			lightingDialog.showModal();
+		});
+		document.getElementById('lighting-close').addEventListener('click', () => lightingDialog.close());
+		document.getElementById('lighting-preset').addEventListener('change', (event) => {
+			applyLightingPreset(event.target.value);
+		});
+		document.getElementById('lighting-save').addEventListener('click', saveLightingPreset);
+		document.getElementById('lighting-upload').addEventListener('change', handleLightingPresetUpload);
+		
+		document.querySelectorAll('[data-light]').forEach(input => {
+			input.addEventListener('input', onLightingInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Tone dialog
+	const toneDialog = document.getElementById('tone-dialog');
+	const openToneBtn = document.getElementById('open-tone');
+	if (toneDialog && openToneBtn) {
+		populateToneMappingDropdown();
+		openToneBtn.addEventListener('click', () => {
+			updateToneControls();
+			toneDialog.showModal();
+			updateToneHistogram();
+		});
+		document.getElementById('tone-close').addEventListener('click', () => toneDialog.close());
+		
+		document.querySelectorAll('[data-tone-key]').forEach(input => {
+			input.addEventListener('input', onToneInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Post-processing dialog
+	const postDialog = document.getElementById('post-dialog');
+	const openPostBtn = document.getElementById('open-post');
+	if (postDialog && openPostBtn) {
+		openPostBtn.addEventListener('click', () => {
+			updatePostControls();
+			postDialog.showModal();
+		});
+		document.getElementById('post-close').addEventListener('click', () => postDialog.close());
+		document.getElementById('post-outline-meshes').addEventListener('change', onOutlineMeshesChange);
+		
+		document.querySelectorAll('[data-post]').forEach(input => {
+			input.addEventListener('input', onPostInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Ground shadows dialog
+	const shadowsDialog = document.getElementById('shadows-dialog');
+	const openShadowsBtn = document.getElementById('open-shadows');
+	if (shadowsDialog && openShadowsBtn) {
+		openShadowsBtn.addEventListener('click', () => {
+			updateShadowControls();
+			shadowsDialog.showModal();
+		});
+		document.getElementById('shadows-close').addEventListener('click', () => shadowsDialog.close());
+		
+		document.querySelectorAll('[data-shadow]').forEach(input => {
+			input.addEventListener('input', onShadowInput);
+			input.addEventListener('change', () => recordHistory());
+		});
+	}
+	
+	// Crop mask controls
+	populateMaskDropdown();
+	updateMaskControls();
+	const maskSelector = document.getElementById('mask-shape');
+	if (maskSelector) {
+		maskSelector.addEventListener('change', (event) => {
+			const shape = event.target.value;
+			// A custom shape needs an SVG first
+			if (shape === 'svg' && !thumbnailMask.path) {
+				updateMaskControls();
+				document.getElementById('mask-svg-upload').click();
+				return;
+			}
+			setMask({ shape });
+			showUpdateButton();
+			recordHistory();
+		});
+	}
+	
+	const maskRadiusInput = document.getElementById('mask-radius');
+	if (maskRadiusInput) {
+		maskRadiusInput.addEventListener('input', (event) => {
+			const value = parseFloat(event.target.value);
+			if (Number.isFinite(value)) {
+				setMask({ radius: Math.min(50, Math.max(0, value)) / 100 });
+			}
+		});
+		maskRadiusInput.addEventListener('change', () => {
+			recordHistory();
+			updateMaskControls();
+		});
+	}
+	
+	const maskSVGUpload = document.getElementById('mask-svg-upload');
+	if (maskSVGUpload) {
+		maskSVGUpload.addEventListener('change', handleMaskSVGUpload);
+	}
+	
+	// Guide template selector
+	populateGuideDropdown();
+	const guideSelector = document.getElementById('guide-template');
+	if (guideSelector) {
+		guideSelector.addEventListener('change', (event) => {
+			guideTemplateId = event.target.value;
+			renderThumbnail();
+		});
+	}
+	
+	// Auto frame button
+	const autoFrameBtn = document.getElementById('auto-frame-btn');
+	if (autoFrameBtn) {
+		autoFrameBtn.addEventListener('click', autoFrameThumbnail);
+	}
+	
+	// Auto-trim toggle; while on, padding and centering changes re-frame right away
+	const autoTrimBtn = document.getElementById('auto-trim-btn');
+	if (autoTrimBtn) {
+		autoTrimBtn.addEventListener('click', () => setAutoTrim(!autoTrim));
+	}
+	
+	['auto-frame-center', 'auto-frame-padding'].forEach(id => {
+		const input = document.getElementById(id);
+		if (input) {
+			input.addEventListener('change', () => {
+				if (autoTrim) autoFrameThumbnail();
+			});
+		}
+	});
+	
+	// Export format controls
+	const exportFormatSelector = document.getElementById('export-format');
+	if (exportFormatSelector) {
+		exportFormatSelector.addEventListener('change', updateExportFormatControls);
+	}
+	
+	const exportQualitySlider = document.getElementById('export-quality');
+	if (exportQualitySlider) {
+		exportQualitySlider.addEventListener('input', (event) => {
+			const qualityValue = document.getElementById('export-quality-value');
+			if (qualityValue) {
+				qualityValue.textContent = event.target.value;
+			}
+		});
+	}
+	
+	// Export preset button
+	const exportPresetBtn = document.getElementById('export-preset-btn');
+	if (exportPresetBtn) {
+		exportPresetBtn.addEventListener('click', () => {
+			const presetSelector = document.getElementById('export-preset');
+			exportPresetBtn.disabled = true;
+			exportPresetSizes(presetSelector.value)
+				.catch((error) => {
+					console.error('Error exporting preset:', error);
+					alert('Error exporting thumbnails: ' + error.message);
+				})
+				.finally(() => {
+					exportPresetBtn.disabled = false;
+				});
+		});
+	}
 });
 
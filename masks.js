@@ -0,0 +1,164 @@
+// Crop mask shapes for the 2D composition. A mask is previewed on the editor
+// canvas by dimming everything outside it, and applied to exports so the
+// outside becomes transparent.
+//
+// { "shape": "circle" }
+// { "shape": "rounded-rect", "radius": 0.1 }       Corner radius as a fraction of the shorter side
+// { "shape": "hexagon" }
+// { "shape": "svg", "path": "M0 0...", "viewBox": [0, 0, 24, 24] }
+//
+// Shapes are centered and fitted inside the canvas.
+
+export const maskShapes = [
+	{ id: 'none', name: 'No Mask' },
+	{ id: 'circle', name: 'Circle' },
+	{ id: 'rounded-rect', name: 'Rounded Rect' },
+	{ id: 'hexagon', name: 'Hexagon' },
+	{ id: 'svg', name: 'Custom SVG' },
+];
+
+const OUTSIDE_COLOR = 'rgba(0, 0, 0, 0.6)';
+const OUTLINE_COLOR = 'rgba(255, 255, 255, 0.6)';
+
+export function isMaskActive(mask) {
+	if (!mask || mask.shape === 'none') return false;
+	return mask.shape !== 'svg' || Boolean(mask.path);
+}
+
+/**
+ * Outline of a mask on a canvas of the given size.
+ * @param {object} mask
+ * @param {number} width
+ * @param {number} height
+ * @returns {Path2D}
+ */
+export function getMaskPath(mask, width, height) {
+	const path = new Path2D();
+	const size = Math.min(width, height);
+	const centerX = width / 2;
+	const centerY = height / 2;
+
+	switch (mask.shape) {
+		case 'circle':
+			path.arc(centerX, centerY, size / 2, 0, Math.PI * 2);
+			break;
+		case 'rounded-rect':
+			path.roundRect(0, 0, width, height, size * Math.min(0.5, Math.max(0, mask.radius || 0)));
+			break;
+		case 'hexagon':
+			// Pointy-top hexagon touching the top and bottom of the fitted square
+			for (let i = 0; i < 6; i++) {
+				const angle = Math.PI / 3 * i - Math.PI / 2;
+				const x = centerX + (size / 2) * Math.cos(angle);
+				const y = centerY + (size / 2) * Math.sin(angle);
+				i === 0 ? path.moveTo(x, y) : path.lineTo(x, y);
+			}
+			path.closePath();
+			break;
+		case 'svg': {
+			// Fit the SVG viewBox inside the canvas, centered
+			const [minX, minY, boxWidth, boxHeight] = mask.viewBox;
+			const scale = Math.min(width / boxWidth, height / boxHeight);
+			const matrix = new DOMMatrix()
+				.translate((width - boxWidth * scale) / 2, (height - boxHeight * scale) / 2)
+				.scale(scale)
+				.translate(-minX, -minY);
+			path.addPath(new Path2D(mask.path), matrix);
+			break;
+		}
+		default:
+			path.rect(0, 0, width, height);
+	}
+
+	return path;
+}
+
+/**
+ * Make everything outside the mask transparent.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} mask
+ */
+export function applyMask(ctx, mask) {
+	if (!isMaskActive(mask)) return;
+	const { width, height } = ctx.canvas;
+
+	ctx.save();
+	ctx.globalCompositeOperation = 'destination-in';
+	ctx.fill(getMaskPath(mask, width, height));
+	ctx.restore();
+}
+
+/**
+ * Dim everything outside the mask and outline it, so clipping is visible while editing.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} mask
+ * @param {number} pixelRatio Canvas pixels per screen pixel
+ */
+export function drawMaskPreview(ctx, mask, pixelRatio = 1) {
+	if (!isMaskActive(mask)) return;
+	const { width, height } = ctx.canvas;
+	const path = getMaskPath(mask, width, height);
+
+	const outside = new Path2D();
+	outside.rect(0, 0, width, height);
+	outside.addPath(path);
+
+	ctx.save();
+	ctx.fillStyle = OUTSIDE_COLOR;
+	ctx.fill(outside, 'evenodd');
+	ctx.strokeStyle = OUTLINE_COLOR;
+	ctx.lineWidth = pixelRatio;
+	ctx.stroke(path);
+	ctx.restore();
+}
+
+// A viewBox is [x, y, width, height] with a positive width and height
+export function isViewBox(viewBox) {
+	return Array.isArray(viewBox) && viewBox.length === 4 && viewBox.every(Number.isFinite) &&
+		viewBox[2] > 0 && viewBox[3] > 0;
+}
+
+/**
+ * Read the combined path data and viewBox of an SVG file.
+ * @param {string} text SVG markup
+ * @returns {{path: string, viewBox: number[]}}
+ */
+export function parseMaskSVG(text) {
+	const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+	const svg = doc.querySelector('svg');
+	if (!svg || doc.querySelector('parsererror')) {
+		throw new Error('File is not a valid SVG');
+	}
+
+	const elements = Array.from(svg.querySelectorAll('path'));
+
+	// Path data is combined as written, so transforms on the paths or their groups would be lost
+	const transformed = elements.some((element) => {
+		for (let node = element; node && node !== svg.parentNode; node = node.parentNode) {
+			if (node.hasAttribute('transform')) return true;
+		}
+		return false;
+	});
+	if (transformed) {
+		throw new Error('SVG masks with transform attributes are not supported; flatten the transforms into the paths first');
+	}
+
+	const paths = elements
+		.map(element => element.getAttribute('d'))
+		.filter(Boolean);
+	if (paths.length === 0) {
+		throw new Error('SVG has no <path> elements');
+	}
+
+	let viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+	if (!isViewBox(viewBox)) {
+		const width = parseFloat(svg.getAttribute('width'));
+		const height = parseFloat(svg.getAttribute('height'));
+		if (!(width > 0 && height > 0)) {
+			throw new Error('SVG needs a viewBox or width and height');
+		}
+		viewBox = [0, 0, width, height];
+	}
+
+	return { path: paths.join(' '), viewBox };
+}
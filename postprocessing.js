@@ -0,0 +1,333 @@
+// Optional post-processing for the 3D view and its captures, run through an EffectComposer.
+// Effects are applied in this order:
+//   ssao     screen-space ambient occlusion darkening creases and contact areas
+//   outline  a silhouette outline around the whole model or the named meshes
+//   bloom    a glow around bright areas
+//   smaa     morphological antialiasing, after tone mapping
+//
+// {
+//   "ssao": { "enabled": true, "radius": 0.05, "intensity": 1 },
+//   "outline": { "enabled": false, "color": "#ffffff", "thickness": 2, "strength": 3, "meshes": [] },
+//   "bloom": { "enabled": false, "strength": 0.5, "radius": 0.4, "threshold": 0.85 },
+//   "smaa": { "enabled": false }
+// }
+//
+// SSAO radius is a fraction of the model size. An empty outline "meshes" list outlines the
+// whole model; names missing from the model are ignored.
+//
+// The pipeline keeps the alpha channel, so transparent captures stay transparent: the
+// buffers hold premultiplied color, bloom and outlines add coverage where they spread past
+// the model, and tone mapping is applied to straight color before premultiplying again.
+// With every effect off the viewer renders directly, exactly as before.
+
+import { CustomBlending, HalfFloatType, OneFactor, Vector2, WebGLRenderTarget } from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+
+export const postEffectIds = ['ssao', 'outline', 'bloom', 'smaa'];
+
+// Multisampling of the scene render, so edges stay smooth without SMAA
+const MSAA_SAMPLES = 4;
+
+// Occlusion closer than this fraction of the model size is ignored, avoiding self-shadowing
+const SSAO_MIN_DISTANCE = 0.002;
+
+export function createPostProcessing() {
+	return {
+		ssao: { enabled: false, radius: 0.05, intensity: 1 },
+		outline: { enabled: false, color: '#ffffff', thickness: 2, strength: 3, meshes: [] },
+		bloom: { enabled: false, strength: 0.5, radius: 0.4, threshold: 0.85 },
+		smaa: { enabled: false },
+	};
+}
+
+export function hasPostProcessing(settings) {
+	return postEffectIds.some(id => settings[id].enabled);
+}
+
+// Apply [search, replacement] pairs to three.js shader source. Each search must match,
+// so a three.js update that changes the patched code fails loudly instead of quietly
+// producing wrong captures.
+function patchShader(source, replacements) {
+	return replacements.reduce((patched, [search, replacement]) => {
+		const result = patched.replace(search, replacement);
+		if (result === patched) {
+			throw new Error(`Post-processing shader patch not applied: ${search} not found`);
+		}
+		return result;
+	}, source);
+}
+
+// SSAO for the viewer's logarithmic depth buffer, with an intensity control.
+// The depth texture is converted back to the perspective depth the shader expects.
+class CaptureSSAOPass extends SSAOPass {
+	constructor(scene, camera, width, height) {
+		super(scene, camera, width, height);
+
+		const material = this.ssaoMaterial;
+		material.uniforms.intensity = { value: 1 };
+		material.fragmentShader = patchShader(material.fragmentShader, [
+			['#include <packing>', `#include <packing>
+
+		uniform float intensity;
+
+		float readDepth( const in vec2 uv ) {
+			float depth = texture2D( tDepth, uv ).x;
+			#ifdef LOGARITHMIC_DEPTH
+				if ( depth >= 1.0 ) return 1.0;
+				float viewZ = 1.0 - exp2( depth * log2( cameraFar + 1.0 ) );
+				return viewZToPerspectiveDepth( viewZ, cameraNear, cameraFar );
+			#else
+				return depth;
+			#endif
+		}`],
+			[/texture2D\( tDepth, screenPosition \)\.x/g, 'readDepth( screenPosition )'],
+			['vec3( 1.0 - occlusion )', 'vec3( 1.0 - occlusion * intensity )'],
+		]);
+	}
+
+	// Keep the scene background out of the normal and depth pass
+	overrideVisibility() {
+		this.sceneBackground = this.scene.background;
+		this.scene.background = null;
+		super.overrideVisibility();
+	}
+
+	restoreVisibility() {
+		super.restoreVisibility();
+		this.scene.background = this.sceneBackground;
+	}
+}
+
+// Tone mapping and sRGB output on straight color, so semi-transparent edges get the
+// same colors as a direct render
+class CaptureOutputPass extends OutputPass {
+	constructor() {
+		super();
+
+		this.material.fragmentShader = patchShader(this.material.fragmentShader, [
+			['gl_FragColor = texture2D( tDiffuse, vUv );', `gl_FragColor = texture2D( tDiffuse, vUv );
+			gl_FragColor.a = min( gl_FragColor.a, 1.0 );
+			if ( gl_FragColor.a > 0.0 ) gl_FragColor.rgb /= gl_FragColor.a;`],
+			[/}\s*$/, `	gl_FragColor.rgb *= gl_FragColor.a;
+
+		}`],
+		]);
+	}
+}
+
+// Add an overlay as premultiplied color and coverage
+function blendPremultiplied(material) {
+	Object.assign(material, {
+		blending: CustomBlending,
+		blendSrc: OneFactor,
+		blendDst: OneFactor,
+		blendSrcAlpha: OneFactor,
+		blendDstAlpha: OneFactor,
+	});
+}
+
+// Blur the bloom with its alpha, so the glow shows past the model's edge
+// instead of filling the whole frame
+function preserveBloomAlpha(pass) {
+	pass.separableBlurMaterials.forEach((material) => {
+		material.fragmentShader = patchShader(material.fragmentShader, [
+			['vec3 diffuseSum = texture2D( colorTexture, vUv ).rgb * weightSum;', 'vec4 diffuseSum = texture2D( colorTexture, vUv ) * weightSum;'],
+			['vec3 sample1 = texture2D( colorTexture, vUv + uvOffset ).rgb;', 'vec4 sample1 = texture2D( colorTexture, vUv + uvOffset );'],
+			['vec3 sample2 = texture2D( colorTexture, vUv - uvOffset ).rgb;', 'vec4 sample2 = texture2D( colorTexture, vUv - uvOffset );'],
+			['gl_FragColor = vec4(diffuseSum/weightSum, 1.0);', 'gl_FragColor = diffuseSum / weightSum;'],
+		]);
+	});
+
+	blendPremultiplied(pass.blendMaterial);
+}
+
+export class PostProcessing {
+	/**
+	 * @param {THREE.WebGLRenderer} renderer
+	 * @param {THREE.Scene} scene
+	 * @param {THREE.Camera} camera
+	 */
+	constructor(renderer, scene, camera) {
+		this.renderer = renderer;
+		this.scene = scene;
+		this.camera = camera;
+
+		this.size = 1;
+		this.content = null;
+		this.settings = createPostProcessing();
+
+		// The live view keeps its own multisampled pipeline, so captures never resize it
+		const { x: width, y: height } = renderer.getDrawingBufferSize(new Vector2());
+		this.pipeline = this.createPipeline(width, height, MSAA_SAMPLES);
+
+		// Captures share one pipeline without multisampling, created on the first capture
+		this.capturePipeline = null;
+	}
+
+	/**
+	 * Composer and passes for one output size.
+	 * @param {number} width Drawing buffer pixels
+	 * @param {number} height
+	 * @param {number} samples Multisampling of the scene render
+	 * @returns {object}
+	 */
+	createPipeline(width, height, samples) {
+		const { renderer, scene, camera } = this;
+
+		const renderTarget = new WebGLRenderTarget(width, height, { type: HalfFloatType, samples });
+		const composer = new EffectComposer(renderer, renderTarget);
+
+		const renderPass = new RenderPass(scene, camera);
+
+		const ssaoPass = new CaptureSSAOPass(scene, camera, width, height);
+		if (renderer.capabilities.logarithmicDepthBuffer) {
+			ssaoPass.ssaoMaterial.defines.LOGARITHMIC_DEPTH = '';
+		}
+
+		const outlinePass = new OutlinePass(new Vector2(width, height), scene, camera);
+		// Only the silhouette, not edges hidden behind other parts of the model
+		outlinePass.hiddenEdgeColor.set(0x000000);
+		blendPremultiplied(outlinePass.overlayMaterial);
+
+		const bloomPass = new UnrealBloomPass(new Vector2(width, height), 0.5, 0.4, 0.85);
+		preserveBloomAlpha(bloomPass);
+
+		const outputPass = new CaptureOutputPass();
+		const smaaPass = new SMAAPass(width, height);
+		// Capture pipelines render right away, before SMAA's lookup images would load,
+		// so they borrow the live view's textures
+		if (this.pipeline) {
+			smaaPass.uniformsWeights.tArea.value = this.pipeline.smaaPass.areaTexture;
+			smaaPass.uniformsWeights.tSearch.value = this.pipeline.smaaPass.searchTexture;
+		}
+
+		const passes = [renderPass, ssaoPass, outlinePass, bloomPass, outputPass, smaaPass];
+		passes.forEach((pass) => composer.addPass(pass));
+
+		// Sized in drawing buffer pixels, so offscreen captures can resize the renderer freely
+		composer.setPixelRatio(1);
+		composer.setSize(width, height);
+
+		const pipeline = { composer, passes, renderPass, ssaoPass, outlinePass, bloomPass, smaaPass, width, height };
+		this.applySettings(pipeline);
+		return pipeline;
+	}
+
+	disposePipeline(pipeline) {
+		pipeline.passes.forEach((pass) => pass.dispose());
+		pipeline.composer.dispose();
+	}
+
+	/**
+	 * Scale size-dependent effects to a model.
+	 * @param {THREE.Object3D} content
+	 * @param {number} size Diagonal of the model's bounding box
+	 */
+	fit(content, size) {
+		this.content = content;
+		this.size = size;
+		this.getPipelines().forEach((pipeline) => this.applySettings(pipeline));
+	}
+
+	/**
+	 * Apply effect settings; see createPostProcessing for the format.
+	 * @param {object} settings
+	 */
+	update(settings) {
+		this.settings = settings;
+
+		// Free the capture buffers, which may be export-sized, while every effect is off
+		if (this.capturePipeline && !hasPostProcessing(settings)) {
+			this.disposePipeline(this.capturePipeline);
+			this.capturePipeline = null;
+		}
+		this.getPipelines().forEach((pipeline) => this.applySettings(pipeline));
+	}
+
+	getPipelines() {
+		return this.capturePipeline ? [this.pipeline, this.capturePipeline] : [this.pipeline];
+	}
+
+	applySettings({ ssaoPass, outlinePass, bloomPass, smaaPass }) {
+		const { ssao, outline, bloom, smaa } = this.settings;
+
+		ssaoPass.enabled = ssao.enabled;
+		ssaoPass.ssaoMaterial.uniforms.intensity.value = ssao.intensity;
+
+		outlinePass.enabled = outline.enabled;
+		outlinePass.visibleEdgeColor.set(outline.color);
+		outlinePass.edgeThickness = outline.thickness;
+		outlinePass.edgeStrength = outline.strength;
+		outlinePass.selectedObjects = this.getSelection();
+
+		bloomPass.enabled = bloom.enabled;
+		bloomPass.strength = bloom.strength;
+		bloomPass.radius = bloom.radius;
+		bloomPass.threshold = bloom.threshold;
+
+		smaaPass.enabled = smaa.enabled;
+	}
+
+	// Outline the whole model, or the meshes named in the settings
+	getSelection() {
+		const names = this.settings.outline.meshes;
+		const selected = [];
+		if (this.content && !names.length) {
+			selected.push(this.content);
+		} else if (this.content) {
+			this.content.traverse((node) => {
+				if (node.isMesh && names.includes(node.name)) selected.push(node);
+			});
+		}
+		return selected;
+	}
+
+	/**
+	 * Render the scene through the enabled effects into the renderer's canvas,
+	 * following its current drawing buffer size.
+	 * @param {THREE.Camera} camera
+	 * @param {boolean} offscreen A capture: rendered through the capture pipeline, which
+	 *   skips multisampling since captures are supersampled already
+	 */
+	render(camera, offscreen = false) {
+		const { x: width, y: height } = this.renderer.getDrawingBufferSize(new Vector2());
+
+		if (offscreen && !this.capturePipeline) {
+			this.capturePipeline = this.createPipeline(width, height, 0);
+		}
+
+		const pipeline = offscreen ? this.capturePipeline : this.pipeline;
+		if (width !== pipeline.width || height !== pipeline.height) {
+			pipeline.width = width;
+			pipeline.height = height;
+			pipeline.composer.setSize(width, height);
+		}
+		this.renderPipeline(pipeline, camera);
+	}
+
+	renderPipeline({ composer, renderPass, ssaoPass, outlinePass }, camera) {
+		renderPass.camera = camera;
+		ssaoPass.camera = camera;
+		outlinePass.renderCamera = camera;
+
+		// Camera-dependent SSAO uniforms, which the pass otherwise only sets on resize
+		const uniforms = ssaoPass.ssaoMaterial.uniforms;
+		uniforms.cameraNear.value = camera.near;
+		uniforms.cameraFar.value = camera.far;
+		uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+		uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+
+		const depthRange = camera.far - camera.near;
+		ssaoPass.kernelRadius = this.settings.ssao.radius * this.size;
+		ssaoPass.minDistance = (SSAO_MIN_DISTANCE * this.size) / depthRange;
+		ssaoPass.maxDistance = ssaoPass.kernelRadius / depthRange;
+
+		composer.render();
+	}
+}
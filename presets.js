@@ -0,0 +1,48 @@
+// Export presets: each renders the current composition at every listed width.
+// Heights follow the output aspect ratio.
+export const exportPresets = [
+	{
+		id: 'all',
+		name: 'All Sizes',
+		sizes: [64, 128, 256, 512, 1024],
+	},
+	{
+		id: 'icons',
+		name: 'Icons',
+		sizes: [64, 128, 256],
+	},
+	{
+		id: 'large',
+		name: 'Large',
+		sizes: [512, 1024],
+	},
+];
+
+// Output aspect ratio presets with their default dimensions.
+// Width and height can be edited afterwards; other ratios show as Custom.
+export const aspectPresets = [
+	{
+		id: 'square',
+		name: 'Square 1:1',
+		width: 1200,
+		height: 1200,
+	},
+	{
+		id: 'banner',
+		name: 'Banner 16:9',
+		width: 1920,
+		height: 1080,
+	},
+	{
+		id: 'card',
+		name: 'Card 4:3',
+		width: 1200,
+		height: 900,
+	},
+	{
+		id: 'poster',
+		name: 'Poster 2:3',
+		width: 1000,
+		height: 1500,
+	},
+];
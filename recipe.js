@@ -0,0 +1,206 @@
+// Thumbnail recipes: the camera, lighting, environment, 2D composition and
+// export settings needed to reproduce a thumbnail, stored as JSON.
+//
+// {
+//   "type": "thumbnail-recipe",
+//   "version": 1,
+//   "model": "Truck",
+//   "camera": { "position": [x, y, z], "target": [x, y, z], "fov": 60 },
+//   "lighting": { "multiplier": 1, "rig": { "name": "Studio", "key": {...}, "fill": {...}, "rim": {...}, "hemisphere": {...} }, "exposure": 1, "toneMapping": "aces" },
+//   "environment": { "name": "Neutral", "background": false, "blur": 0, "rotation": 0, "intensity": 1 },
+//   "shadows": { "contact": { "enabled": true, "opacity": 0.6, "blur": 3 }, "directional": {...} },
+//   "postProcessing": { "ssao": { "enabled": true, "radius": 0.05, "intensity": 1 }, "outline": {...}, "bloom": {...}, "smaa": {...} },
+//   "composition": { "offsetX": 0, "offsetY": 0, "scale": 1, "rotation": 0 },
+//   "framing": { "trim": true, "mode": "alpha", "center": "mass", "padding": 0.1 },
+//   "output": { "width": 1200, "height": 1200 },
+//   "mask": { "shape": "rounded-rect", "radius": 0.15 },
+//   "effects": { "shadow": { "enabled": true, "offsetX": 0, "offsetY": 16, "blur": 24, "color": "#000000", "opacity": 0.5 }, "glow": {...}, "outline": {...} },
+//   "background": { "solid": { "enabled": true, "export": true, "color": "#ffffff" }, "gradient": {...}, "image": {...}, "environment": {...} },
+//   "export": { "format": "png", "quality": 0.92, "matte": "#ffffff", "supersample": 2 }
+// }
+//
+// Composition offsets are fractions of the canvas size so they survive canvas resizes.
+// Rotation is in degrees, clockwise around the image center.
+// Exposure is in stops and toneMapping is one of the operator ids in tonemapping.js.
+// Environment rotation is in degrees around the vertical axis and blur is 0-1.
+// With framing.trim, captures are cropped to the model and the offset and scale are
+// recomputed for each capture from the framing center ("bounds" or "mass") and padding
+// (a fraction of the canvas), so batch renders frame every model the same way.
+// Every section is optional; only the sections present are applied.
+// Mask shapes are documented in masks.js, background layers in backgrounds.js,
+// effects in effects.js, ground shadows in shadows.js, post-processing in postprocessing.js
+// and lighting rigs in lighting.js.
+// Recipes from before lighting rigs set "ambientColor" and "directColor" instead of "rig".
+// Recipes from before tone mapping ids set "toneMapping" to the three.js renderer constant
+// (4 for ACES Filmic); it is converted to the matching id when parsed.
+
+import { backgroundLayerIds } from './backgrounds.js';
+import { effectIds, isEffectColor } from './effects.js';
+import { validateLightingRig } from './lighting.js';
+import { isViewBox, maskShapes } from './masks.js';
+import { postEffectIds } from './postprocessing.js';
+import { shadowIds } from './shadows.js';
+import { resolveToneMappingId } from './tonemapping.js';
+
+export const RECIPE_TYPE = 'thumbnail-recipe';
+export const RECIPE_VERSION = 1;
+
+function isVector3(value) {
+	return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function assertNumber(value, name) {
+	if (value !== undefined && !Number.isFinite(value)) {
+		throw new Error(`Recipe ${name} must be a number`);
+	}
+}
+
+function assertBoolean(value, name) {
+	if (value !== undefined && typeof value !== 'boolean') {
+		throw new Error(`Recipe ${name} must be true or false`);
+	}
+}
+
+/**
+ * Parse and validate recipe JSON.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseRecipe(text) {
+	const recipe = JSON.parse(text);
+
+	if (!recipe || recipe.type !== RECIPE_TYPE) {
+		throw new Error('File is not a thumbnail recipe');
+	}
+	if (!Number.isInteger(recipe.version) || recipe.version > RECIPE_VERSION) {
+		throw new Error(`Unsupported recipe version: ${recipe.version}`);
+	}
+
+	if (recipe.camera) {
+		if (!isVector3(recipe.camera.position) || !isVector3(recipe.camera.target)) {
+			throw new Error('Recipe camera position and target must be [x, y, z] arrays');
+		}
+		assertNumber(recipe.camera.fov, 'camera.fov');
+	}
+
+	if (recipe.lighting) {
+		assertNumber(recipe.lighting.multiplier, 'lighting.multiplier');
+		assertNumber(recipe.lighting.exposure, 'lighting.exposure');
+		if (recipe.lighting.toneMapping !== undefined) {
+			const toneMapping = resolveToneMappingId(recipe.lighting.toneMapping);
+			if (!toneMapping) {
+				throw new Error(`Unknown tone mapping: ${recipe.lighting.toneMapping}`);
+			}
+			recipe.lighting.toneMapping = toneMapping;
+		}
+		if (recipe.lighting.rig) {
+			validateLightingRig(recipe.lighting.rig, 'rig');
+		}
+	}
+
+	if (recipe.shadows) {
+		shadowIds.forEach(id => {
+			const shadow = recipe.shadows[id];
+			if (shadow === undefined) return;
+			if (typeof shadow !== 'object' || shadow === null) {
+				throw new Error(`Recipe shadows.${id} must be an object`);
+			}
+			['opacity', 'blur'].forEach(key => assertNumber(shadow[key], `shadows.${id}.${key}`));
+		});
+	}
+
+	if (recipe.postProcessing) {
+		postEffectIds.forEach(id => {
+			const effect = recipe.postProcessing[id];
+			if (effect === undefined) return;
+			if (typeof effect !== 'object' || effect === null) {
+				throw new Error(`Recipe postProcessing.${id} must be an object`);
+			}
+			assertBoolean(effect.enabled, `postProcessing.${id}.enabled`);
+			['radius', 'intensity', 'thickness', 'strength', 'threshold'].forEach(key => assertNumber(effect[key], `postProcessing.${id}.${key}`));
+		});
+		const outline = recipe.postProcessing.outline;
+		if (outline && outline.color !== undefined && !isEffectColor(outline.color)) {
+			throw new Error('Recipe postProcessing.outline.color must be a #rrggbb color');
+		}
+		if (outline && outline.meshes !== undefined &&
+			!(Array.isArray(outline.meshes) && outline.meshes.every(name => typeof name === 'string'))) {
+			throw new Error('Recipe postProcessing.outline.meshes must be an array of mesh names');
+		}
+	}
+
+	if (recipe.environment) {
+		assertNumber(recipe.environment.blur, 'environment.blur');
+		assertNumber(recipe.environment.rotation, 'environment.rotation');
+		assertNumber(recipe.environment.intensity, 'environment.intensity');
+	}
+
+	if (recipe.composition) {
+		assertNumber(recipe.composition.offsetX, 'composition.offsetX');
+		assertNumber(recipe.composition.offsetY, 'composition.offsetY');
+		assertNumber(recipe.composition.scale, 'composition.scale');
+		assertNumber(recipe.composition.rotation, 'composition.rotation');
+	}
+
+	if (recipe.framing) {
+		assertNumber(recipe.framing.padding, 'framing.padding');
+		if (recipe.framing.center !== undefined && !['bounds', 'mass'].includes(recipe.framing.center)) {
+			throw new Error(`Unknown framing center: ${recipe.framing.center}`);
+		}
+	}
+
+	if (recipe.output) {
+		if (!(Number.isInteger(recipe.output.width) && recipe.output.width > 0) ||
+			!(Number.isInteger(recipe.output.height) && recipe.output.height > 0)) {
+			throw new Error('Recipe output width and height must be positive integers');
+		}
+	}
+
+	if (recipe.mask) {
+		if (!maskShapes.some(shape => shape.id === recipe.mask.shape)) {
+			throw new Error(`Unknown mask shape: ${recipe.mask.shape}`);
+		}
+		assertNumber(recipe.mask.radius, 'mask.radius');
+		if (recipe.mask.shape === 'svg' && (typeof recipe.mask.path !== 'string' || !isViewBox(recipe.mask.viewBox))) {
+			throw new Error('Recipe SVG mask needs a path and a [x, y, width, height] viewBox');
+		}
+	}
+
+	if (recipe.background) {
+		backgroundLayerIds.forEach(id => {
+			const layer = recipe.background[id];
+			if (layer !== undefined && (typeof layer !== 'object' || layer === null)) {
+				throw new Error(`Recipe background.${id} must be an object`);
+			}
+		});
+		if (recipe.background.gradient) {
+			assertNumber(recipe.background.gradient.angle, 'background.gradient.angle');
+		}
+	}
+
+	if (recipe.effects) {
+		effectIds.forEach(id => {
+			const effect = recipe.effects[id];
+			if (effect === undefined) return;
+			if (typeof effect !== 'object' || effect === null) {
+				throw new Error(`Recipe effects.${id} must be an object`);
+			}
+			['offsetX', 'offsetY', 'blur', 'opacity', 'width'].forEach(key => assertNumber(effect[key], `effects.${id}.${key}`));
+			if (effect.color !== undefined && !isEffectColor(effect.color)) {
+				throw new Error(`Recipe effects.${id}.color must be a #rrggbb color`);
+			}
+		});
+	}
+
+	if (recipe.export) {
+		assertNumber(recipe.export.quality, 'export.quality');
+		assertNumber(recipe.export.supersample, 'export.supersample');
+	}
+
+	return recipe;
+}
+
+// Serialize recipe sections with the type and version header
+export function serializeRecipe(sections) {
+	return JSON.stringify({ type: RECIPE_TYPE, version: RECIPE_VERSION, ...sections }, null, 2);
+}
@@ -0,0 +1,116 @@
+// Generates the bundled studio environments in public/environments/ as Radiance .hdr files,
+// so the editor has image-based lighting without network access.
+// Each environment is painted procedurally into an equirectangular image.
+//
+// Usage: npm run environments
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_DIR = path.join(ROOT, 'public', 'environments');
+
+const WIDTH = 512;
+const HEIGHT = 256;
+
+const DEG = Math.PI / 180;
+
+// Unit direction for an azimuth and elevation in radians
+function direction(azimuth, elevation) {
+	return [Math.cos(elevation) * Math.sin(azimuth), Math.sin(elevation), Math.cos(elevation) * Math.cos(azimuth)];
+}
+
+function dot(a, b) {
+	return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function mix(a, b, t) {
+	return a.map((value, i) => value + (b[i] - value) * t);
+}
+
+function add(a, b, scale = 1) {
+	return a.map((value, i) => value + b[i] * scale);
+}
+
+function smoothstep(edge0, edge1, x) {
+	const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+	return t * t * (3 - 2 * t);
+}
+
+// Soft-edged round light source, angular radius in degrees
+function softLight(dir, center, radius, softness) {
+	const angle = Math.acos(Math.min(1, dot(dir, center))) / DEG;
+	return 1 - smoothstep(radius, radius + softness, angle);
+}
+
+const painters = {
+	// Dark studio with a large key softbox, a dimmer fill and an overhead light
+	studio(dir, elevation) {
+		const wall = mix([0.12, 0.12, 0.13], [0.2, 0.2, 0.21], smoothstep(-0.1, 0.6, dir[1]));
+		let color = elevation < 0 ? [0.06, 0.06, 0.06] : wall;
+		color = add(color, [9, 9, 8.6], softLight(dir, direction(45 * DEG, 30 * DEG), 14, 6));
+		color = add(color, [3, 3.1, 3.4], softLight(dir, direction(-70 * DEG, 15 * DEG), 12, 8));
+		color = add(color, [5, 5, 5], softLight(dir, direction(0, 80 * DEG), 10, 6));
+		return color;
+	},
+
+	// Low warm sun over a gradient sky
+	sunset(dir, elevation) {
+		const horizon = [1.4, 0.7, 0.35];
+		const zenith = [0.18, 0.3, 0.65];
+		let color = elevation < 0
+			? mix([0.3, 0.2, 0.14], [0.08, 0.07, 0.06], smoothstep(0, 0.5, -dir[1]))
+			: mix(horizon, zenith, smoothstep(0, 0.6, dir[1]));
+		const sun = direction(30 * DEG, 8 * DEG);
+		color = add(color, [80, 50, 25], softLight(dir, sun, 1.5, 0.5));
+		color = add(color, [2, 1, 0.4], Math.pow(Math.max(0, dot(dir, sun)), 16));
+		return color;
+	},
+
+	// Even, slightly cool sky dome over a light ground
+	overcast(dir, elevation) {
+		if (elevation < 0) {
+			return mix([0.35, 0.35, 0.34], [0.2, 0.2, 0.2], smoothstep(0, 0.5, -dir[1]));
+		}
+		return mix([1.0, 1.0, 1.02], [1.3, 1.35, 1.45], smoothstep(0, 1, dir[1]));
+	},
+};
+
+// Radiance RGBE encoding of one pixel
+function toRGBE(color, out, offset) {
+	const max = Math.max(color[0], color[1], color[2]);
+	if (max < 1e-32) {
+		out.fill(0, offset, offset + 4);
+		return;
+	}
+	const exponent = Math.floor(Math.log2(max)) + 1;
+	const scale = 256 / Math.pow(2, exponent);
+	for (let c = 0; c < 3; c++) {
+		out[offset + c] = Math.min(255, Math.floor(color[c] * scale));
+	}
+	out[offset + 3] = exponent + 128;
+}
+
+// Flat (not run-length encoded) .hdr file, top scanline first
+function encodeHDR(paint) {
+	const header = `#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${HEIGHT} +X ${WIDTH}\n`;
+	const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+
+	for (let y = 0; y < HEIGHT; y++) {
+		const elevation = (0.5 - (y + 0.5) / HEIGHT) * Math.PI;
+		for (let x = 0; x < WIDTH; x++) {
+			const azimuth = ((x + 0.5) / WIDTH - 0.5) * 2 * Math.PI;
+			toRGBE(paint(direction(azimuth, elevation), elevation), pixels, (y * WIDTH + x) * 4);
+		}
+	}
+
+	return Buffer.concat([Buffer.from(header, 'ascii'), pixels]);
+}
+
+await fs.mkdir(OUTPUT_DIR, { recursive: true });
+for (const [name, paint] of Object.entries(painters)) {
+	const file = path.join(OUTPUT_DIR, `${name}.hdr`);
+	await fs.writeFile(file, encodeHDR(paint));
+	console.log('Wrote', path.relative(ROOT, file));
+}
@@ -0,0 +1,147 @@
+// Headless batch thumbnail generator.
+// Serves the editor with Vite, opens headless.html in headless Chrome using the
+// SwiftShader software renderer and writes one PNG per glTF/GLB model.
+//
+// Usage: npm run thumbnails -- --in models/ --out thumbs/ [--size 1200] [--height 675]
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+import puppeteer from 'puppeteer';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODEL_EXTENSIONS = ['.gltf', '.glb'];
+
+const USAGE = 'Usage: npm run thumbnails -- --in <dir|file> --out <dir> [--size 1200] [--height <px>]';
+
+// Collect model files from a file or directory (recursively)
+async function findModels(inputPath) {
+	const stat = await fs.stat(inputPath);
+	if (stat.isFile()) {
+		return [inputPath];
+	}
+
+	const models = [];
+	const entries = await fs.readdir(inputPath, { withFileTypes: true });
+	for (const entry of entries) {
+		const entryPath = path.join(inputPath, entry.name);
+		if (entry.isDirectory()) {
+			models.push(...await findModels(entryPath));
+		} else if (MODEL_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+			models.push(entryPath);
+		}
+	}
+	return models.sort();
+}
+
+// Vite serves files outside the project root from /@fs/<absolute path>
+function toServedPath(filePath) {
+	return '/@fs/' + path.resolve(filePath).split(path.sep).join('/').replace(/^\//, '');
+}
+
+async function main() {
+	const { values } = parseArgs({
+		options: {
+			in: { type: 'string' },
+			out: { type: 'string' },
+			size: { type: 'string', default: '1200' },
+			height: { type: 'string' },
+		},
+	});
+
+	if (!values.in || !values.out) {
+		console.error(USAGE);
+		process.exit(1);
+	}
+
+	const inputPath = path.resolve(values.in);
+	const outputDir = path.resolve(values.out);
+	const size = parseInt(values.size, 10);
+	if (!(size > 0)) {
+		console.error('Invalid --size:', values.size);
+		process.exit(1);
+	}
+	// Square unless a height is given
+	const height = values.height !== undefined ? parseInt(values.height, 10) : size;
+	if (!(height > 0)) {
+		console.error('Invalid --height:', values.height);
+		process.exit(1);
+	}
+
+	const models = await findModels(inputPath);
+	if (models.length === 0) {
+		console.error('No .gltf or .glb files found in', inputPath);
+		process.exit(1);
+	}
+
+	await fs.mkdir(outputDir, { recursive: true });
+
+	const inputDir = (await fs.stat(inputPath)).isFile() ? path.dirname(inputPath) : inputPath;
+	const server = await createServer({
+		root: ROOT,
+		logLevel: 'error',
+		server: {
+			open: false,
+			fs: { allow: [ROOT, inputDir] },
+		},
+	});
+	await server.listen();
+
+	let browser = null;
+	let failures = 0;
+
+	// Close the server even when Chrome fails to launch, so the CLI exits
+	try {
+		browser = await puppeteer.launch({
+			headless: true,
+			args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'],
+		});
+
+		const page = await browser.newPage();
+		// Match a high-DPI editor session, where the 600px viewer captures at 1200px
+		await page.setViewport({ width: 600, height: 600, deviceScaleFactor: 2 });
+		page.on('pageerror', (error) => console.error('Page error:', error.message));
+
+		const baseUrl = server.resolvedUrls.local[0];
+		await page.goto(new URL('headless.html', baseUrl).href);
+		await page.waitForFunction(() => window.thumbnailRendererReady === true);
+
+		for (const modelPath of models) {
+			const relativePath = path.relative(inputDir, modelPath) || path.basename(modelPath);
+			const outputPath = path.join(outputDir, relativePath.replace(/\.(gltf|glb)$/i, '.png'));
+
+			try {
+				const dataUrl = await page.evaluate(
+					(url, width, height) => window.renderModelThumbnail(url, width, height),
+					toServedPath(modelPath),
+					size,
+					height,
+				);
+
+				await fs.mkdir(path.dirname(outputPath), { recursive: true });
+				await fs.writeFile(outputPath, Buffer.from(dataUrl.split(',')[1], 'base64'));
+				console.log(`${relativePath} -> ${path.relative(process.cwd(), outputPath)}`);
+			} catch (error) {
+				failures++;
+				console.error(`Failed to render ${relativePath}:`, error.message);
+			}
+		}
+	} finally {
+		if (browser) {
+			await browser.close();
+		}
+		await server.close();
+	}
+
+	console.log(`Rendered ${models.length - failures} of ${models.length} thumbnails`);
+	if (failures > 0) {
+		process.exit(1);
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,237 @@
+// Ground shadows for the 3D capture, caught on transparent planes at the model's base (Y=0).
+// Both kinds can be used together:
+//   contact      the model's underside rendered as depth from below, blurred and laid on the ground
+//   directional  a shadow-map shadow from an overhead light, caught by a ShadowMaterial
+// The planes only draw the shadow itself, so it survives into the alpha of PNG captures.
+//
+// {
+//   "contact": { "enabled": true, "opacity": 0.6, "blur": 3 },
+//   "directional": { "enabled": false, "opacity": 0.35, "blur": 4 }
+// }
+//
+// Contact blur is in shadow texels (0-10), directional blur is the PCF filter radius (0-10).
+
+import {
+	DirectionalLight,
+	Group,
+	Mesh,
+	MeshBasicMaterial,
+	MeshDepthMaterial,
+	OrthographicCamera,
+	PlaneGeometry,
+	ShaderMaterial,
+	ShadowMaterial,
+	WebGLRenderTarget,
+} from 'three';
+import { HorizontalBlurShader } from 'three/addons/shaders/HorizontalBlurShader.js';
+import { VerticalBlurShader } from 'three/addons/shaders/VerticalBlurShader.js';
+
+export const shadowIds = ['contact', 'directional'];
+
+// Contact shadow texture resolution
+const CONTACT_RESOLUTION = 512;
+
+// Contact shadows fade out over this fraction of the model's height above the ground
+const CONTACT_HEIGHT = 0.25;
+
+// Ground planes extend this far past the model's footprint
+const CONTACT_SPREAD = 1.5;
+const DIRECTIONAL_SPREAD = 3;
+
+// Overhead light direction, tilted so the shadow falls to one side
+const LIGHT_DIRECTION = [1, 4, 1.5];
+
+const MAX_BLUR = 10;
+
+export function createShadows() {
+	return {
+		contact: { enabled: false, opacity: 0.6, blur: 3 },
+		directional: { enabled: false, opacity: 0.35, blur: 4 },
+	};
+}
+
+function clampBlur(blur) {
+	return Math.min(MAX_BLUR, Math.max(0, blur));
+}
+
+export class GroundShadows {
+	constructor() {
+		this.object = new Group();
+		this.object.name = 'ground_shadows';
+
+		this.size = 10;
+		this.height = 5;
+		this.settings = createShadows();
+
+		this.initContact();
+		this.initDirectional();
+	}
+
+	initContact() {
+		this.renderTarget = new WebGLRenderTarget(CONTACT_RESOLUTION, CONTACT_RESOLUTION);
+		this.renderTarget.texture.generateMipmaps = false;
+		this.blurTarget = new WebGLRenderTarget(CONTACT_RESOLUTION, CONTACT_RESOLUTION);
+		this.blurTarget.texture.generateMipmaps = false;
+
+		const geometry = new PlaneGeometry(1, 1).rotateX(Math.PI / 2);
+
+		this.contactPlane = new Mesh(
+			geometry,
+			new MeshBasicMaterial({ map: this.renderTarget.texture, transparent: true, depthWrite: false }),
+		);
+		this.contactPlane.name = 'contact_shadow';
+		// The shadow camera looks up, so flip the plane to match its texture
+		this.contactPlane.scale.y = -1;
+		this.contactPlane.renderOrder = 1;
+		this.object.add(this.contactPlane);
+
+		// Quad filling the shadow camera's view for the blur passes, rendered on its own
+		this.blurPlane = new Mesh(geometry);
+
+		this.contactCamera = new OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+		this.contactCamera.rotation.x = Math.PI / 2;
+		this.object.add(this.contactCamera);
+
+		// Depth from below, written as black with opacity falling off with height
+		this.depthMaterial = new MeshDepthMaterial();
+		this.depthMaterial.onBeforeCompile = (shader) => {
+			const depthOutput = 'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );';
+			// Fail loudly if a three.js update changes the depth shader
+			if (!shader.fragmentShader.includes(depthOutput)) {
+				throw new Error('Contact shadow patch not applied: MeshDepthMaterial output not found');
+			}
+			shader.fragmentShader = shader.fragmentShader.replace(depthOutput, 'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );');
+		};
+		this.depthMaterial.depthTest = false;
+		this.depthMaterial.depthWrite = false;
+
+		this.horizontalBlurMaterial = new ShaderMaterial(HorizontalBlurShader);
+		this.horizontalBlurMaterial.depthTest = false;
+		this.verticalBlurMaterial = new ShaderMaterial(VerticalBlurShader);
+		this.verticalBlurMaterial.depthTest = false;
+	}
+
+	initDirectional() {
+		this.directionalPlane = new Mesh(
+			new PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+			new ShadowMaterial({ transparent: true, depthWrite: false }),
+		);
+		this.directionalPlane.name = 'directional_shadow';
+		this.directionalPlane.receiveShadow = true;
+		this.directionalPlane.renderOrder = 1;
+		this.object.add(this.directionalPlane);
+
+		// Casts the shadow without lighting anything, so the model's shading is unchanged
+		this.light = new DirectionalLight(0xffffff, 0);
+		this.light.name = 'shadow_light';
+		this.light.castShadow = true;
+		this.light.shadow.mapSize.set(2048, 2048);
+		this.light.shadow.bias = -0.0005;
+		this.object.add(this.light, this.light.target);
+	}
+
+	/**
+	 * Size the planes and cameras to a model's bounds.
+	 * @param {THREE.Vector3} boxSize Size of the model's bounding box
+	 */
+	fit(boxSize) {
+		this.size = Math.max(boxSize.x, boxSize.z);
+		this.height = boxSize.y;
+
+		const contactSize = this.size * CONTACT_SPREAD;
+		this.contactPlane.scale.set(contactSize, -1, contactSize);
+		Object.assign(this.contactCamera, {
+			left: -contactSize / 2,
+			right: contactSize / 2,
+			top: contactSize / 2,
+			bottom: -contactSize / 2,
+			far: Math.max(this.height * CONTACT_HEIGHT, 0.001),
+		});
+		this.contactCamera.updateProjectionMatrix();
+		this.blurPlane.scale.set(contactSize, 1, contactSize);
+		this.blurPlane.position.y = this.contactCamera.far / 2;
+
+		const directionalSize = this.size * DIRECTIONAL_SPREAD;
+		this.directionalPlane.scale.set(directionalSize, 1, directionalSize);
+
+		const distance = Math.max(this.size, this.height) * 2;
+		const [x, y, z] = LIGHT_DIRECTION;
+		const length = Math.hypot(x, y, z);
+		this.light.position.set(x, y, z).multiplyScalar(distance / length);
+
+		const camera = this.light.shadow.camera;
+		camera.left = -directionalSize / 2;
+		camera.right = directionalSize / 2;
+		camera.top = directionalSize / 2;
+		camera.bottom = -directionalSize / 2;
+		camera.near = distance / 100;
+		camera.far = distance * 2;
+		camera.updateProjectionMatrix();
+	}
+
+	/**
+	 * Apply shadow settings; see createShadows for the format.
+	 * @param {object} settings
+	 */
+	update(settings) {
+		this.settings = settings;
+		const { contact, directional } = settings;
+
+		this.contactPlane.visible = contact.enabled;
+		this.contactPlane.material.opacity = contact.opacity;
+
+		this.directionalPlane.visible = directional.enabled;
+		this.directionalPlane.material.opacity = directional.opacity;
+		this.light.castShadow = directional.enabled;
+		this.light.shadow.radius = clampBlur(directional.blur);
+	}
+
+	/**
+	 * Render the contact shadow texture. Call before each frame while the model can move.
+	 * @param {THREE.WebGLRenderer} renderer
+	 * @param {THREE.Scene} scene
+	 * @param {THREE.Object3D} content Only this object casts a contact shadow
+	 */
+	renderContact(renderer, scene, content) {
+		if (!this.settings.contact.enabled || !content) return;
+
+		// Draw only the model, as flat depth
+		const hidden = scene.children.filter(child => child !== content && child.visible);
+		hidden.forEach(child => (child.visible = false));
+		const background = scene.background;
+		const clearAlpha = renderer.getClearAlpha();
+		const renderTarget = renderer.getRenderTarget();
+
+		scene.background = null;
+		scene.overrideMaterial = this.depthMaterial;
+		renderer.setClearAlpha(0);
+		renderer.setRenderTarget(this.renderTarget);
+		renderer.render(scene, this.contactCamera);
+		scene.overrideMaterial = null;
+
+		// A second, lighter pass smooths the box-blur artifacts
+		const blur = clampBlur(this.settings.contact.blur);
+		this.blur(renderer, blur);
+		this.blur(renderer, blur * 0.4);
+
+		renderer.setRenderTarget(renderTarget);
+		renderer.setClearAlpha(clearAlpha);
+		scene.background = background;
+		hidden.forEach(child => (child.visible = true));
+	}
+
+	// Blur the contact texture in place through the blur target
+	blur(renderer, amount) {
+		this.blurPlane.material = this.horizontalBlurMaterial;
+		this.horizontalBlurMaterial.uniforms.tDiffuse.value = this.renderTarget.texture;
+		this.horizontalBlurMaterial.uniforms.h.value = amount / (CONTACT_RESOLUTION / 2);
+		renderer.setRenderTarget(this.blurTarget);
+		renderer.render(this.blurPlane, this.contactCamera);
+
+		this.blurPlane.material = this.verticalBlurMaterial;
+		this.verticalBlurMaterial.uniforms.tDiffuse.value = this.blurTarget.texture;
+		this.verticalBlurMaterial.uniforms.v.value = amount / (CONTACT_RESOLUTION / 2);
+		renderer.setRenderTarget(this.renderTarget);
+		renderer.render(this.blurPlane, this.contactCamera);
+	}
+}
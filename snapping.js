@@ -0,0 +1,116 @@
+// Snapping for the 2D thumbnail drag. Features of the image (its visual
+// center, alpha bounding box edges and ground line) are pulled onto target
+// lines on the canvas when they come within a threshold.
+
+const SMART_GUIDE_COLOR = 'rgba(255, 64, 160, 0.9)';
+
+/**
+ * Canvas lines that the image snaps to: center and thirds, plus any extra
+ * normalized lines (e.g. guide template margins).
+ * @param {{width: number, height: number}} canvas
+ * @param {{x: number[], y: number[]}} extraLines Normalized 0-1 positions
+ * @returns {{x: number[], y: number[]}} Canvas pixel positions
+ */
+export function getSnapTargets(canvas, extraLines = { x: [], y: [] }) {
+	const fractions = {
+		x: [0.5, 1 / 3, 2 / 3, ...extraLines.x],
+		y: [0.5, 1 / 3, 2 / 3, ...extraLines.y],
+	};
+	return {
+		x: fractions.x.map(value => value * canvas.width),
+		y: fractions.y.map(value => value * canvas.height),
+	};
+}
+
+/**
+ * Image features that snap, as normalized positions within the image.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}|null} bounds Alpha bounds of the image
+ * @returns {{x: number[], y: number[]}}
+ */
+export function getSnapFeatures(bounds) {
+	if (!bounds) {
+		// Nothing measurable: fall back to the image center
+		return { x: [0.5], y: [0.5] };
+	}
+	return {
+		// Visual center, then the bounding box edges
+		x: [(bounds.minX + bounds.maxX) / 2, bounds.minX, bounds.maxX],
+		// maxY is the ground line, where the model meets the floor
+		y: [(bounds.minY + bounds.maxY) / 2, bounds.minY, bounds.maxY],
+	};
+}
+
+// Best snap along one axis: the smallest move that lands a feature on a target
+function snapAxis(features, targets, start, size, threshold) {
+	let best = null;
+	features.forEach(feature => {
+		const position = start + feature * size;
+		targets.forEach(target => {
+			const delta = target - position;
+			if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+				best = { delta, target };
+			}
+		});
+	});
+	return best;
+}
+
+/**
+ * Snap a drag offset, matching the centered fit-then-scale layout of drawThumbnail.
+ * @param {{x: number, y: number}} offset Unsnapped offset in canvas pixels
+ * @param {{width: number, height: number}} image
+ * @param {{width: number, height: number}} canvas
+ * @param {number} scale Thumbnail scale
+ * @param {{x: number[], y: number[]}} features From getSnapFeatures
+ * @param {{x: number[], y: number[]}} targets From getSnapTargets
+ * @param {number} threshold Snap distance in canvas pixels
+ * @returns {{offset: {x: number, y: number}, guides: {x: number|null, y: number|null}}}
+ */
+export function snapOffset(offset, image, canvas, scale, features, targets, threshold) {
+	const baseScale = Math.min(canvas.width / image.width, canvas.height / image.height);
+	const scaledWidth = image.width * baseScale * scale;
+	const scaledHeight = image.height * baseScale * scale;
+	const left = (canvas.width - scaledWidth) / 2 + offset.x;
+	const top = (canvas.height - scaledHeight) / 2 + offset.y;
+
+	const snapX = snapAxis(features.x, targets.x, left, scaledWidth, threshold);
+	const snapY = snapAxis(features.y, targets.y, top, scaledHeight, threshold);
+
+	return {
+		offset: {
+			x: offset.x + (snapX ? snapX.delta : 0),
+			y: offset.y + (snapY ? snapY.delta : 0),
+		},
+		guides: {
+			x: snapX ? snapX.target : null,
+			y: snapY ? snapY.target : null,
+		},
+	};
+}
+
+/**
+ * Draw smart-guide lines for the active snaps.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number|null, y: number|null}} guides
+ * @param {number} pixelRatio Canvas pixels per screen pixel
+ */
+export function drawSmartGuides(ctx, guides, pixelRatio = 1) {
+	const { width, height } = ctx.canvas;
+
+	ctx.save();
+	ctx.strokeStyle = SMART_GUIDE_COLOR;
+	ctx.lineWidth = pixelRatio;
+
+	ctx.beginPath();
+	if (guides.x !== null) {
+		ctx.moveTo(guides.x, 0);
+		ctx.lineTo(guides.x, height);
+	}
+	if (guides.y !== null) {
+		ctx.moveTo(0, guides.y);
+		ctx.lineTo(width, guides.y);
+	}
+	ctx.stroke();
+
+	ctx.restore();
+}
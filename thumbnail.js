@@ -0,0 +1,197 @@
+// Shared thumbnail capture and composite helpers.
+// Used by the interactive editor (main.js) and the headless batch renderer (headless.js)
+// so both produce identical framing.
+
+import { Vector2 } from 'three';
+import { drawEffectsLayer } from './effects.js';
+
+// Largest offscreen capture, in pixels per side, before supersampling is reduced
+export const MAX_CAPTURE_SIZE = 4096;
+
+/**
+ * Capture the viewer as a PNG data URL with grid and axes helpers hidden.
+ * Without a size the on-screen canvas is captured as-is, which is cheap enough
+ * for live previews. With a size the scene is re-rendered offscreen at that
+ * resolution, optionally supersampled and downscaled for smoother edges.
+ * @param {Viewer} viewer
+ * @param {{width?: number, height?: number, supersample?: number}} options
+ * @returns {string}
+ */
+export function captureViewport(viewer, { width = null, height = null, supersample = 1 } = {}) {
+	const gridHelperVisible = viewer.gridHelper ? viewer.gridHelper.visible : false;
+	const axesHelperVisible = viewer.axesHelper ? viewer.axesHelper.visible : false;
+
+	if (viewer.gridHelper) {
+		viewer.gridHelper.visible = false;
+	}
+	if (viewer.axesHelper) {
+		viewer.axesHelper.visible = false;
+	}
+
+	let imageData;
+	if (width && height) {
+		imageData = renderOffscreen(viewer, width, height, supersample);
+	} else {
+		// Force a render
+		viewer.render();
+
+		// Capture the canvas as an image (PNG with transparency)
+		imageData = viewer.renderer.domElement.toDataURL('image/png');
+	}
+
+	// Restore helper visibility immediately
+	if (viewer.gridHelper) {
+		viewer.gridHelper.visible = gridHelperVisible;
+	}
+	if (viewer.axesHelper) {
+		viewer.axesHelper.visible = axesHelperVisible;
+	}
+
+	return imageData;
+}
+
+/**
+ * Capture only the scene environment, as seen from the current camera, for use
+ * as a 2D backdrop. Takes the same options as captureViewport.
+ * @param {Viewer} viewer
+ * @param {{width?: number, height?: number, supersample?: number}} options
+ * @returns {string|null} PNG data URL, or null when there is no environment
+ */
+export function captureEnvironment(viewer, options = {}) {
+	const { scene, content, groundShadows } = viewer;
+	if (!scene.environment) return null;
+
+	const background = scene.background;
+	const contentVisible = content ? content.visible : false;
+	const shadowsVisible = groundShadows ? groundShadows.object.visible : false;
+
+	scene.background = scene.environment;
+	if (content) {
+		content.visible = false;
+	}
+	if (groundShadows) {
+		groundShadows.object.visible = false;
+	}
+
+	const imageData = captureViewport(viewer, options);
+
+	scene.background = background;
+	if (content) {
+		content.visible = contentVisible;
+	}
+	if (groundShadows) {
+		groundShadows.object.visible = shadowsVisible;
+	}
+	viewer.render();
+
+	return imageData;
+}
+
+// Render at the requested resolution by temporarily resizing the drawing buffer.
+// The canvas CSS size is untouched and the on-screen frame is restored before returning.
+function renderOffscreen(viewer, width, height, supersample) {
+	const renderer = viewer.renderer;
+	const maxSize = Math.min(MAX_CAPTURE_SIZE, renderer.capabilities.maxTextureSize);
+	const renderScale = Math.min(supersample, maxSize / Math.max(width, height));
+	const renderWidth = Math.round(width * renderScale);
+	const renderHeight = Math.round(height * renderScale);
+
+	const pixelRatio = renderer.getPixelRatio();
+	const screenSize = renderer.getSize(new Vector2());
+
+	// Downscale the supersampled render into the output canvas
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+
+	// Restore the live frame even when the render fails, e.g. on context loss
+	renderer.setPixelRatio(1);
+	renderer.setSize(renderWidth, renderHeight, false);
+	try {
+		viewer.renderScene(true);
+
+		const ctx = canvas.getContext('2d');
+		ctx.imageSmoothingEnabled = true;
+		ctx.imageSmoothingQuality = 'high';
+		ctx.drawImage(renderer.domElement, 0, 0, width, height);
+	} finally {
+		renderer.setPixelRatio(pixelRatio);
+		renderer.setSize(screenSize.x, screenSize.y, false);
+		viewer.render();
+	}
+
+	return canvas.toDataURL('image/png');
+}
+
+/**
+ * Draw a captured image onto a 2D context, fitted to the canvas and then
+ * scaled, rotated and offset by the user's 2D composition.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} image
+ * @param {{offset: {x: number, y: number}, scale: number, rotation?: number}} composition
+ *   Offset in canvas pixels, rotation in degrees around the image center
+ * @param {object|null} effectsLayer Drawn in place of the image, from createEffectsLayer
+ */
+export function drawThumbnail(ctx, image, { offset, scale, rotation = 0 }, effectsLayer = null) {
+	const { width, height } = ctx.canvas;
+
+	// Clear canvas to transparent
+	ctx.clearRect(0, 0, width, height);
+
+	// Keep downscaled exports smooth
+	ctx.imageSmoothingEnabled = true;
+	ctx.imageSmoothingQuality = 'high';
+
+	// Draw image with current offset and scale
+	const baseScale = Math.min(width / image.width, height / image.height);
+	const scaledWidth = image.width * baseScale * scale;
+	const scaledHeight = image.height * baseScale * scale;
+
+	// Center the image by default, then apply offset and rotation
+	ctx.save();
+	ctx.translate(width / 2 + offset.x, height / 2 + offset.y);
+	if (effectsLayer) {
+		drawEffectsLayer(ctx, effectsLayer, baseScale * scale, (rotation * Math.PI) / 180);
+	} else {
+		ctx.rotate((rotation * Math.PI) / 180);
+		ctx.drawImage(image, -scaledWidth / 2, -scaledHeight / 2, scaledWidth, scaledHeight);
+	}
+	ctx.restore();
+}
+
+/**
+ * Render a composition onto a new canvas of the given size.
+ * Offsets are authored on a canvas referenceWidth wide (with the same aspect
+ * ratio) and scaled to match.
+ * @param {CanvasImageSource} image
+ * @param {{offset: {x: number, y: number}, scale: number, rotation?: number}} composition
+ * @param {number} width
+ * @param {number} height
+ * @param {number} referenceWidth
+ * @param {object|null} effectsLayer From createEffectsLayer at this size
+ * @returns {HTMLCanvasElement}
+ */
+export function renderThumbnailToCanvas(image, { offset, scale, rotation = 0 }, width, height, referenceWidth = width, effectsLayer = null) {
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+
+	const ratio = width / referenceWidth;
+	drawThumbnail(canvas.getContext('2d'), image, {
+		offset: { x: offset.x * ratio, y: offset.y * ratio },
+		scale,
+		rotation,
+	}, effectsLayer);
+
+	return canvas;
+}
+
+// Load a data URL into an Image element
+export function loadImage(src) {
+	return new Promise((resolve, reject) => {
+		const image = new Image();
+		image.onload = () => resolve(image);
+		image.onerror = reject;
+		image.src = src;
+	});
+}
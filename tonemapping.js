@@ -0,0 +1,47 @@
+// Tone mapping operators offered by the editor. Recipes store the operator's id
+// ("lighting.toneMapping": "aces") and exposure in stops ("lighting.exposure", 2^exposure);
+// the viewer works with the renderer constant the id maps to.
+// Recipes keep the id, so they stay valid when three.js numbers operators differently.
+
+import {
+	ACESFilmicToneMapping,
+	AgXToneMapping,
+	CineonToneMapping,
+	LinearToneMapping,
+	NeutralToneMapping,
+	ReinhardToneMapping,
+} from 'three';
+
+export const toneMappings = [
+	{ id: 'linear', name: 'Linear', value: LinearToneMapping },
+	{ id: 'reinhard', name: 'Reinhard', value: ReinhardToneMapping },
+	{ id: 'cineon', name: 'Cineon', value: CineonToneMapping },
+	{ id: 'aces', name: 'ACES Filmic', value: ACESFilmicToneMapping },
+	{ id: 'agx', name: 'AgX', value: AgXToneMapping },
+	{ id: 'neutral', name: 'Neutral', value: NeutralToneMapping },
+];
+
+export function isToneMappingId(id) {
+	return toneMappings.some(toneMapping => toneMapping.id === id);
+}
+
+// Id of a renderer constant, or null for operators the editor doesn't offer
+export function getToneMappingId(value) {
+	const toneMapping = toneMappings.find(entry => entry.value === Number(value));
+	return toneMapping ? toneMapping.id : null;
+}
+
+// Id of a recipe's tone mapping. Recipes from before operator ids stored the renderer
+// constant (4 for ACES Filmic), so finite numbers are mapped through getToneMappingId.
+// Null for anything the editor doesn't offer.
+export function resolveToneMappingId(value) {
+	if (Number.isFinite(value)) return getToneMappingId(value);
+	return isToneMappingId(value) ? value : null;
+}
+
+// Renderer constant of an id, or null for unknown ids
+export function getToneMappingValue(id) {
+	const toneMapping = toneMappings.find(entry => entry.id === id);
+	return toneMapping ? toneMapping.value : null;
+}
+
@@ -1,5 +1,4 @@
 import {
-	AmbientLight,
 	AnimationMixer,
 	AxesHelper,
 	Box3,
@@ -15,15 +14,19 @@ import {
 	LineSegments,
 	LoaderUtils,
 	LoadingManager,
+	Mesh,
+	MeshBasicMaterial,
+	PCFShadowMap,
 	PMREMGenerator,
 	PerspectiveCamera,
 	PointsMaterial,
+	Quaternion,
 	REVISION,
 	Scene,
 	SkeletonHelper,
+	SphereGeometry,
 	Vector3,
 	WebGLRenderer,
-	LinearToneMapping,
 	ACESFilmicToneMapping,
 } from 'three';
 import Stats from 'three/addons/libs/stats.module.js';
@@ -33,11 +36,16 @@ import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 
 import { GUI } from 'dat.gui';
 
-import { environments } from './environments.js';
+import { environments, getEnvironmentFormat } from './environments.js';
+import { GroundShadows, createShadows } from './shadows.js';
+import { createLightingRig, getLightDirection, rigLightIds } from './lighting.js';
+import { toneMappings } from './tonemapping.js';
+import { PostProcessing, createPostProcessing, hasPostProcessing } from './postprocessing.js';
 
 const DEFAULT_CAMERA = '[default]';
 
@@ -62,10 +70,15 @@ export class Viewer {
 		this.options = options;
 
 		this.lights = [];
+		this.rigLights = null;
+		this.lightDistance = 10;
 		this.content = null;
 		this.mixer = null;
 		this.clips = [];
 		this.gui = null;
+		this.environmentRequest = 0;
+		this.environmentScenes = new Map(); // Loaded environments by id, kept for the session
+		this.environmentTargets = new Map(); // Prefiltered maps by environment scene, kept with the scenes
 
 		// Initialize global VIEWER for debugging
 		window.VIEWER = window.VIEWER || {};
@@ -77,6 +90,9 @@ export class Viewer {
 					? environments.find((e) => e.id === 'footprint-court').name
 					: environments[1].name,
 			background: false,
+			backgroundBlurriness: 0, // 0-1
+			environmentRotation: 0, // Degrees around the vertical axis
+			environmentIntensity: 1.0,
 			playbackSpeed: 1.0,
 			actionStates: {},
 			camera: DEFAULT_CAMERA,
@@ -89,12 +105,16 @@ export class Viewer {
 			punctualLights: true,
 			exposure: 1.0, // Increased from 0.0 for better visibility
 			toneMapping: ACESFilmicToneMapping, // Use ACES Filmic
-			ambientIntensity: 0.3,
-			ambientColor: '#FFFFFF',
-			directIntensity: 0.8 * Math.PI, // TODO(#116)
-			directColor: '#FFFFFF',
+			lightMultiplier: 1, // Scales every rig light together
+			rig: createLightingRig(), // Key, fill, rim and hemisphere, see lighting.js
 			bgColor: '#121212', // Match app background
 
+			// Ground shadows, see shadows.js
+			shadows: createShadows(),
+
+			// SSAO, outline, bloom and SMAA, see postprocessing.js
+			postProcessing: createPostProcessing(),
+
 			pointSize: 1.0,
 		};
 
@@ -124,11 +144,13 @@ export class Viewer {
 		this.renderer.setClearColor(0x000000, 0); // Transparent background
 		this.renderer.setPixelRatio(window.devicePixelRatio);
 		this.renderer.setSize(el.clientWidth, el.clientHeight);
+		// PCF (not PCF soft) so the directional shadow's blur radius applies
+		this.renderer.shadowMap.enabled = true;
+		this.renderer.shadowMap.type = PCFShadowMap;
 
 		this.pmremGenerator = new PMREMGenerator(this.renderer);
-		this.pmremGenerator.compileEquirectangularShader();
 
-		this.neutralEnvironment = this.pmremGenerator.fromScene(new RoomEnvironment()).texture;
+		this.neutralEnvironment = new RoomEnvironment();
 
 		this.controls = new OrbitControls(this.defaultCamera, this.renderer.domElement);
 		this.controls.screenSpacePanning = true;
@@ -141,6 +163,13 @@ export class Viewer {
 
 		this.el.appendChild(this.renderer.domElement);
 
+		// Kept outside the content so framing and bounds ignore it
+		this.groundShadows = new GroundShadows();
+		this.scene.add(this.groundShadows.object);
+
+		// Created when an effect is first turned on
+		this.postProcessing = null;
+
 		this.cameraCtrl = null;
 		this.cameraFolder = null;
 		this.animFolder = null;
@@ -173,7 +202,9 @@ export class Viewer {
 	}
 
 	render() {
-		this.renderer.render(this.scene, this.activeCamera);
+		this.updateLightDirections();
+		this.groundShadows.renderContact(this.renderer, this.scene, this.content);
+		this.renderScene();
 		if (this.state.grid) {
 			// Update axes camera to match main camera orientation but keep fixed distance
 			const distance = 5; // Fixed distance for consistent axes size
@@ -187,6 +218,18 @@ export class Viewer {
 		}
 	}
 
+	/**
+	 * Draw the scene into the canvas, through the post-processing effects when any are on.
+	 * @param {boolean} offscreen A one-off capture at a size other than the live view
+	 */
+	renderScene(offscreen = false) {
+		if (this.postProcessing && hasPostProcessing(this.state.postProcessing)) {
+			this.postProcessing.render(this.activeCamera, offscreen);
+		} else {
+			this.renderer.render(this.scene, this.activeCamera);
+		}
+	}
+
 	resize() {
 		const { clientHeight, clientWidth } = this.el;
 
@@ -308,6 +351,7 @@ export class Viewer {
 		const modelCenterY = boxSize.y / 2;
 
 		this.controls.maxDistance = size * 10;
+		this.lightDistance = size;
 
 		this.defaultCamera.near = size / 100;
 		this.defaultCamera.far = size * 100;
@@ -340,6 +384,11 @@ export class Viewer {
 		this.scene.add(object);
 		this.content = object;
 
+		this.groundShadows.fit(boxSize);
+		if (this.postProcessing) {
+			this.postProcessing.fit(object, size);
+		}
+
 		this.state.punctualLights = true;
 
 		this.content.traverse((node) => {
@@ -406,6 +455,54 @@ export class Viewer {
 		}
 	}
 
+	/**
+	 * Position, orbit target and field of view of the active camera. A glTF camera
+	 * looks at a point straight ahead, as far away as the orbit target is from the
+	 * default camera.
+	 * @returns {{position: number[], target: number[], fov: number}}
+	 */
+	getCameraView() {
+		const camera = this.activeCamera;
+		const { defaultCamera, controls } = this;
+		if (camera === defaultCamera) {
+			return {
+				position: defaultCamera.position.toArray(),
+				target: controls.target.toArray(),
+				fov: defaultCamera.fov,
+			};
+		}
+
+		const position = camera.getWorldPosition(new Vector3());
+		const distance = defaultCamera.position.distanceTo(controls.target);
+		const target = camera.getWorldDirection(new Vector3()).multiplyScalar(distance).add(position);
+		return {
+			position: position.toArray(),
+			target: target.toArray(),
+			// Orthographic glTF cameras have no field of view
+			fov: camera.isPerspectiveCamera ? camera.fov : defaultCamera.fov,
+		};
+	}
+
+	/**
+	 * Switch to the default camera and point it as described by getCameraView.
+	 * @param {{position: number[], target: number[], fov?: number}} view
+	 */
+	setCameraView({ position, target, fov }) {
+		if (this.activeCamera !== this.defaultCamera) {
+			this.state.camera = DEFAULT_CAMERA;
+			this.setCamera(DEFAULT_CAMERA);
+			if (this.cameraCtrl) this.cameraCtrl.updateDisplay();
+		}
+
+		this.defaultCamera.position.fromArray(position);
+		this.controls.target.fromArray(target);
+		if (fov) {
+			this.defaultCamera.fov = fov;
+			this.defaultCamera.updateProjectionMatrix();
+		}
+		this.controls.update();
+	}
+
 	updateLights() {
 		const state = this.state;
 		const lights = this.lights;
@@ -419,17 +516,60 @@ export class Viewer {
 		this.renderer.toneMapping = Number(state.toneMapping);
 		this.renderer.toneMappingExposure = Math.pow(2, state.exposure);
 
-		if (lights.length === 2) {
-			lights[0].intensity = state.ambientIntensity;
-			lights[0].color.set(state.ambientColor);
-			lights[1].intensity = state.directIntensity;
-			lights[1].color.set(state.directColor);
+		if (this.rigLights) {
+			const { rig, lightMultiplier } = state;
+
+			rigLightIds.forEach((id) => {
+				const settings = rig[id];
+				const light = this.rigLights[id];
+				light.visible = settings.enabled;
+				light.color.set(settings.color);
+				light.intensity = settings.intensity * lightMultiplier;
+				light.castShadow = settings.enabled && settings.shadow;
+
+				// Cover the whole model from the light's distance
+				const camera = light.shadow.camera;
+				camera.left = camera.bottom = -this.lightDistance / 2;
+				camera.right = camera.top = this.lightDistance / 2;
+				camera.near = this.lightDistance / 100;
+				camera.far = this.lightDistance * 3;
+				camera.updateProjectionMatrix();
+			});
+
+			const hemiLight = this.rigLights.hemisphere;
+			hemiLight.visible = rig.hemisphere.enabled;
+			hemiLight.color.set(rig.hemisphere.skyColor);
+			hemiLight.groundColor.set(rig.hemisphere.groundColor);
+			hemiLight.intensity = rig.hemisphere.intensity * lightMultiplier;
 		}
+
+		this.updateShadows();
 	}
 
-	addLights() {
-		const state = this.state;
+	// Rig lights follow the camera, aimed at the orbit target from their rig direction
+	updateLightDirections() {
+		if (!this.rigLights) return;
+
+		const quaternion = this.activeCamera.getWorldQuaternion(new Quaternion());
+		const target = this.controls.target;
+
+		rigLightIds.forEach((id) => {
+			const { azimuth, elevation } = this.state.rig[id];
+			const light = this.rigLights[id];
+			getLightDirection(azimuth, elevation, light.position)
+				.applyQuaternion(quaternion)
+				.multiplyScalar(this.lightDistance * 1.5)
+				.add(target);
+			light.target.position.copy(target);
+		});
+	}
 
+	// Whether any rig light casts shadows onto the model
+	hasRigShadows() {
+		return Boolean(this.rigLights) && rigLightIds.some((id) => this.rigLights[id].castShadow);
+	}
+
+	addLights() {
 		if (this.options.preset === Preset.ASSET_GENERATOR) {
 			const hemiLight = new HemisphereLight();
 			hemiLight.name = 'hemi_light';
@@ -438,21 +578,59 @@ export class Viewer {
 			return;
 		}
 
-		const light1 = new AmbientLight(state.ambientColor, state.ambientIntensity);
-		light1.name = 'ambient_light';
-		this.defaultCamera.add(light1);
+		this.rigLights = {};
+		rigLightIds.forEach((id) => {
+			const light = new DirectionalLight();
+			light.name = `${id}_light`;
+			light.shadow.mapSize.set(2048, 2048);
+			light.shadow.bias = -0.0005;
+			light.shadow.normalBias = 0.02;
+			this.scene.add(light, light.target);
+			this.rigLights[id] = light;
+			this.lights.push(light);
+		});
 
-		const light2 = new DirectionalLight(state.directColor, state.directIntensity);
-		light2.position.set(0.5, 0, 0.866); // ~60º
-		light2.name = 'main_light';
-		this.defaultCamera.add(light2);
+		const hemiLight = new HemisphereLight();
+		hemiLight.name = 'hemi_light';
+		this.scene.add(hemiLight);
+		this.rigLights.hemisphere = hemiLight;
+		this.lights.push(hemiLight);
+	}
 
-		this.lights.push(light1, light2);
+	updateShadows() {
+		const { shadows } = this.state;
+		this.groundShadows.update(shadows);
+
+		// Rig shadows fall on the model itself as well as on the ground
+		const rigShadows = this.hasRigShadows();
+		if (this.content) {
+			this.content.traverse((node) => {
+				if (!node.isMesh) return;
+				node.castShadow = shadows.directional.enabled || rigShadows;
+				node.receiveShadow = rigShadows;
+			});
+		}
+	}
+
+	updatePostProcessing() {
+		const settings = this.state.postProcessing;
+		if (!this.postProcessing && hasPostProcessing(settings)) {
+			this.postProcessing = new PostProcessing(this.renderer, this.scene, this.activeCamera);
+			// The light distance is the model's size
+			this.postProcessing.fit(this.content, this.lightDistance);
+		}
+		if (this.postProcessing) {
+			this.postProcessing.update(settings);
+		}
 	}
 
 	removeLights() {
-		this.lights.forEach((light) => light.parent.remove(light));
+		this.lights.forEach((light) => {
+			light.parent.remove(light);
+			if (light.target && light.target.parent) light.target.parent.remove(light.target);
+		});
 		this.lights.length = 0;
+		this.rigLights = null;
 	}
 
 	updateEnvironment() {
@@ -460,38 +638,122 @@ export class Viewer {
 			(entry) => entry.name === this.state.environment,
 		)[0];
 
-		this.getCubeMapTexture(environment).then(({ envMap }) => {
-			this.scene.environment = envMap;
-			this.scene.background = this.state.background ? envMap : null; // Keep transparent when no background
+		// Ignore environments that finish loading after a newer request
+		const request = ++this.environmentRequest;
+
+		return this.getEnvironmentScene(environment || environments[1]).catch((error) => {
+			// Remote maps are unreachable offline, so keep lighting with the neutral environment
+			console.warn('Environment failed to load, using Neutral:', this.state.environment, error);
+			return this.neutralEnvironment;
+		}).then((environmentScene) => {
+			if (request !== this.environmentRequest) return;
+
+			this.scene.environment = environmentScene ? this.getCubeMapTexture(environmentScene) : null;
+			this.updateEnvironmentDisplay();
 		});
 	}
 
-	getCubeMapTexture(environment) {
+	// Background, blur, rotation and intensity settings that don't need the environment prefiltered again
+	updateEnvironmentDisplay() {
+		const { state, scene } = this;
+
+		scene.background = state.background ? scene.environment : null; // Keep transparent when no background
+		scene.backgroundBlurriness = state.backgroundBlurriness;
+		scene.backgroundIntensity = state.environmentIntensity;
+		// Turning the lookup is cheaper than prefiltering a turned environment again
+		const rotation = (state.environmentRotation * Math.PI) / 180;
+		scene.environmentRotation.set(0, rotation, 0);
+		scene.backgroundRotation.set(0, rotation, 0);
+
+		if (this.content) {
+			traverseMaterials(this.content, (material) => {
+				if ('envMapIntensity' in material) {
+					material.envMapIntensity = state.environmentIntensity;
+				}
+			});
+		}
+	}
+
+	/**
+	 * Scene that surrounds the model with an environment: RoomEnvironment for
+	 * neutral, or a sphere textured with the loaded .hdr/.exr image.
+	 * @param {{id: string, path: string}} environment
+	 * @returns {Promise<THREE.Scene|null>} null for no environment
+	 */
+	getEnvironmentScene(environment) {
 		const { id, path } = environment;
 
 		// neutral (THREE.RoomEnvironment)
 		if (id === 'neutral') {
-			return Promise.resolve({ envMap: this.neutralEnvironment });
+			return Promise.resolve(this.neutralEnvironment);
 		}
 
 		// none
 		if (id === '') {
-			return Promise.resolve({ envMap: null });
+			return Promise.resolve(null);
 		}
 
-		return new Promise((resolve, reject) => {
-			new EXRLoader().load(
-				path,
-				(texture) => {
-					const envMap = this.pmremGenerator.fromEquirectangular(texture).texture;
-					this.pmremGenerator.dispose();
+		if (!this.environmentScenes.has(id)) {
+			const Loader = getEnvironmentFormat(environment) === 'hdr' ? RGBELoader : EXRLoader;
+			const request = new Promise((resolve, reject) => {
+				new Loader().load(
+					path,
+					(texture) => {
+						// Seen from inside, turned half a revolution to match three.js equirectangular mapping
+						const geometry = new SphereGeometry(50, 64, 32).scale(-1, 1, 1).rotateY(Math.PI);
+						const environmentScene = new Scene();
+						environmentScene.add(new Mesh(geometry, new MeshBasicMaterial({ map: texture })));
+						resolve(environmentScene);
+					},
+					undefined,
+					reject,
+				);
+			});
 
-					resolve({ envMap });
-				},
-				undefined,
-				reject,
-			);
-		});
+			// Let failed loads be retried
+			request.catch(() => this.environmentScenes.delete(id));
+			this.environmentScenes.set(id, request);
+		}
+
+		return this.environmentScenes.get(id);
+	}
+
+	/**
+	 * Remove a loaded environment from the cache and free its texture, for when
+	 * its file is replaced.
+	 * @param {string} id
+	 */
+	disposeEnvironmentScene(id) {
+		const request = this.environmentScenes.get(id);
+		if (!request) return;
+
+		this.environmentScenes.delete(id);
+		request.then((environmentScene) => {
+			const target = this.environmentTargets.get(environmentScene);
+			if (target) {
+				target.dispose();
+				this.environmentTargets.delete(environmentScene);
+			}
+			environmentScene.traverse((node) => {
+				if (!node.isMesh) return;
+				node.geometry.dispose();
+				node.material.map.dispose();
+				node.material.dispose();
+			});
+		}, () => {});
+	}
+
+	/**
+	 * Prefiltered map of an environment scene for image-based lighting, prefiltered
+	 * once per scene. Rotation is applied when rendering, see updateEnvironmentDisplay.
+	 * @param {THREE.Scene} environmentScene
+	 * @returns {THREE.Texture}
+	 */
+	getCubeMapTexture(environmentScene) {
+		if (!this.environmentTargets.has(environmentScene)) {
+			this.environmentTargets.set(environmentScene, this.pmremGenerator.fromScene(environmentScene));
+		}
+		return this.environmentTargets.get(environmentScene).texture;
 	}
 
 	updateDisplay() {
@@ -625,8 +887,8 @@ export class Viewer {
 
 		// Display controls.
 		const dispFolder = gui.addFolder('Display');
-		const envBackgroundCtrl = dispFolder.add(this.state, 'background');
-		envBackgroundCtrl.onChange(() => this.updateEnvironment());
+		const envBackgroundCtrl = dispFolder.add(this.state, 'background').listen();
+		envBackgroundCtrl.onChange(() => this.updateEnvironmentDisplay());
 		const autoRotateCtrl = dispFolder.add(this.state, 'autoRotate');
 		autoRotateCtrl.onChange(() => this.updateDisplay());
 		const wireframeCtrl = dispFolder.add(this.state, 'wireframe');
@@ -650,16 +912,14 @@ export class Viewer {
 		);
 		envMapCtrl.onChange(() => this.updateEnvironment());
 		[
-			lightFolder.add(this.state, 'toneMapping', {
-				Linear: LinearToneMapping,
-				'ACES Filmic': ACESFilmicToneMapping,
-			}),
-			lightFolder.add(this.state, 'exposure', -10, 10, 0.01),
+			lightFolder.add(
+				this.state,
+				'toneMapping',
+				Object.fromEntries(toneMappings.map((toneMapping) => [toneMapping.name, toneMapping.value])),
+			).listen(),
+			lightFolder.add(this.state, 'exposure', -10, 10, 0.01).listen(),
 			lightFolder.add(this.state, 'punctualLights').listen(),
-			lightFolder.add(this.state, 'ambientIntensity', 0, 2),
-			lightFolder.addColor(this.state, 'ambientColor'),
-			lightFolder.add(this.state, 'directIntensity', 0, 4), // TODO(#116)
-			lightFolder.addColor(this.state, 'directColor'),
+			lightFolder.add(this.state, 'lightMultiplier', 0, 2).listen(),
 		].forEach((ctrl) => ctrl.onChange(() => this.updateLights()));
 
 		// Animation controls.